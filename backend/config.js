@@ -0,0 +1,101 @@
+// backend/config.js
+const path = require('path');
+
+const list = (value, fallback) =>
+  (value || fallback).split(',').map(item => item.trim()).filter(Boolean);
+
+// TRANSLATE_PROVIDERS_SI=google,libretranslate -> { si: ['google', 'libretranslate'] }
+const languageOrder = env =>
+  Object.fromEntries(
+    Object.entries(env)
+      .filter(([key]) => /^TRANSLATE_PROVIDERS_[A-Z]{2,3}$/.test(key))
+      .map(([key, value]) => [key.slice('TRANSLATE_PROVIDERS_'.length).toLowerCase(), list(value, '')])
+  );
+
+module.exports = {
+  port: Number(process.env.PORT) || 5000,
+  corsOrigin: process.env.CORS_ORIGIN || 'http://localhost:3000',
+
+  lyrics: {
+    // Tried in order; the first source that knows the video wins. Pasted
+    // (manual) lyrics come last so anyone's paste never hides real lyrics.
+    sources: list(process.env.LYRICS_SOURCES, 'fixtures,captions,provider,manual'),
+    fixturesDir: process.env.LYRICS_FIXTURES_DIR || path.join(__dirname, 'data', 'fixtures'),
+    captionsDir: process.env.LYRICS_CAPTIONS_DIR || path.join(__dirname, 'data', 'captions'),
+    manualDir: process.env.LYRICS_MANUAL_DIR || path.join(__dirname, 'data', 'manual'),
+    providerURL: process.env.LYRICS_PROVIDER_URL,
+    providerKey: process.env.LYRICS_PROVIDER_KEY,
+    timeout: 20000 // 20 seconds
+  },
+
+  translate: {
+    // Fallback order; available: libretranslate, google, deepl, mock.
+    // TRANSLATE_PROVIDERS_<LANG> overrides the order for one target language.
+    providers: list(process.env.TRANSLATE_PROVIDERS, 'libretranslate,google'),
+    languageOrder: languageOrder(process.env),
+    libretranslateURL: process.env.LIBRETRANSLATE_URL || 'https://libretranslate.de',
+    libretranslateKey: process.env.LIBRETRANSLATE_KEY,
+    googleURL: process.env.GOOGLE_TRANSLATE_URL || 'https://translation.googleapis.com/language/translate/v2',
+    googleKey: process.env.GOOGLE_TRANSLATE_KEY,
+    deeplURL: process.env.DEEPL_URL || 'https://api-free.deepl.com/v2/translate',
+    deeplKey: process.env.DEEPL_KEY,
+    // Merged translations picked in compare mode: <preferredDir>/<videoId>.<lang>.json
+    preferredDir: process.env.PREFERRED_DIR || path.join(__dirname, 'data', 'preferred'),
+    // Versioned human edits: <revisionsDir>/<videoId>.<lang>.json
+    revisionsDir: process.env.REVISIONS_DIR || path.join(__dirname, 'data', 'revisions'),
+    maxTextLength: 5000, // Maximum characters per request
+    // Lyrics detected locally with at least this confidence (0-1) are sent
+    // with that source language instead of 'auto'. Single lines of
+    // code-switched lyrics need `lineConfidence` to be kept verbatim (when
+    // already in the target language) or sent with their own language.
+    detection: {
+      minConfidence: Number(process.env.DETECTION_MIN_CONFIDENCE) || 0.8,
+      lineConfidence: Number(process.env.DETECTION_LINE_CONFIDENCE) || 0.4
+    },
+    // Multi-target requests: languages per request, and how many run at
+    // once (further capped by each provider's own maxConcurrency)
+    maxTargets: 8,
+    concurrency: Number(process.env.TRANSLATE_CONCURRENCY) || 4,
+    // A provider is skipped after this many consecutive failures and
+    // probed again after the cooldown
+    breaker: {
+      failureThreshold: Number(process.env.PROVIDER_FAILURE_THRESHOLD) || 3,
+      cooldownMs: (Number(process.env.PROVIDER_COOLDOWN_SECONDS) || 30) * 1000
+    },
+    timeout: 15000 // 15 seconds
+  },
+
+  // Background pipeline jobs: <jobs.dir>/<id>.json, kept `ttl` after they
+  // finish; at most `concurrency` run at once, and a job is started at most
+  // `maxAttempts` times across server restarts
+  jobs: {
+    dir: process.env.JOBS_DIR || path.join(__dirname, 'data', 'jobs'),
+    concurrency: Number(process.env.JOBS_CONCURRENCY) || 2,
+    maxAttempts: Number(process.env.JOBS_MAX_ATTEMPTS) || 3,
+    ttl: (Number(process.env.JOBS_TTL_HOURS) || 24) * 60 * 60 * 1000
+  },
+
+  // Playlist lookups go through the YouTube Data API
+  youtube: {
+    apiKey: process.env.YOUTUBE_API_KEY,
+    apiURL: process.env.YOUTUBE_API_URL || 'https://www.googleapis.com/youtube/v3',
+    timeout: 15000 // 15 seconds
+  },
+
+  // Batch jobs (playlists and lists of links): videos per batch, how many
+  // are processed at once, attempts per video, and how long a finished
+  // batch stays available for download
+  batch: {
+    maxVideos: Number(process.env.BATCH_MAX_VIDEOS) || 50,
+    concurrency: Number(process.env.BATCH_CONCURRENCY) || 2,
+    maxRetries: 3,
+    retryDelay: 1000,
+    ttl: (Number(process.env.BATCH_TTL_HOURS) || 24) * 60 * 60 * 1000
+  },
+
+  cache: {
+    enabled: process.env.CACHE_ENABLED !== 'false',
+    dir: process.env.CACHE_DIR || path.join(__dirname, 'data', 'cache'),
+    ttl: (Number(process.env.CACHE_TTL_HOURS) || 24 * 7) * 60 * 60 * 1000
+  }
+};
@@ -0,0 +1,53 @@
+// backend/providers/deeplProvider.js
+const { postJson } = require('./http');
+const { ApiError } = require('../utils/ApiError');
+
+// DeepL API v2 or any server speaking the same protocol. DeepL has no
+// Sinhala or Tamil, so the registry only offers it for these languages.
+const DEEPL_LANGUAGES = [
+  'ar', 'bg', 'cs', 'da', 'de', 'el', 'en', 'es', 'et', 'fi', 'fr', 'hu',
+  'id', 'it', 'ja', 'ko', 'lt', 'lv', 'nb', 'nl', 'pl', 'pt', 'ro', 'ru',
+  'sk', 'sl', 'sv', 'tr', 'uk', 'zh'
+];
+
+function createDeeplProvider({ deeplURL, deeplKey, timeout }) {
+  return {
+    name: 'deepl',
+    languages: DEEPL_LANGUAGES,
+    maxTextLength: 5000,
+    rateLimit: { requests: 10, intervalMs: 1000 },
+    maxConcurrency: 3,
+
+    async translate(text, target, source) {
+      if (!deeplKey) {
+        throw new ApiError('DeepL API key not configured', 'API_KEY_MISSING', 503);
+      }
+
+      const data = await postJson(
+        deeplURL,
+        {
+          text: [text],
+          target_lang: target.toUpperCase(),
+          source_lang: source === 'auto' ? undefined : source.toUpperCase()
+        },
+        {
+          label: 'DeepL',
+          timeout,
+          headers: { Authorization: `DeepL-Auth-Key ${deeplKey}` }
+        }
+      );
+
+      const translation = data.translations?.[0];
+      if (!translation?.text) {
+        throw new ApiError('Invalid response from DeepL', 'INVALID_RESPONSE', 502);
+      }
+
+      return {
+        translatedText: translation.text,
+        detectedLanguage: translation.detected_source_language?.toLowerCase() || source
+      };
+    }
+  };
+}
+
+module.exports = { createDeeplProvider };
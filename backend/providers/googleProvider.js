@@ -0,0 +1,43 @@
+// backend/providers/googleProvider.js
+const { postJson } = require('./http');
+const { ApiError } = require('../utils/ApiError');
+
+// Google Cloud Translation v2 or any server speaking the same protocol
+function createGoogleProvider({ googleURL, googleKey, timeout }) {
+  return {
+    name: 'google',
+    languages: null,
+    maxTextLength: 30000,
+    rateLimit: null,
+    maxConcurrency: 5,
+
+    async translate(text, target, source) {
+      if (!googleKey) {
+        throw new ApiError('Google Translate API key not configured', 'API_KEY_MISSING', 503);
+      }
+
+      const data = await postJson(
+        `${googleURL}?key=${encodeURIComponent(googleKey)}`,
+        {
+          q: text,
+          target,
+          source: source === 'auto' ? undefined : source,
+          format: 'text'
+        },
+        { label: 'Google Translate', timeout }
+      );
+
+      const translation = data.data?.translations?.[0];
+      if (!translation?.translatedText) {
+        throw new ApiError('Invalid response from Google Translate', 'INVALID_RESPONSE', 502);
+      }
+
+      return {
+        translatedText: translation.translatedText,
+        detectedLanguage: translation.detectedSourceLanguage || source
+      };
+    }
+  };
+}
+
+module.exports = { createGoogleProvider };
@@ -0,0 +1,41 @@
+// backend/providers/http.js
+const { ApiError } = require('../utils/ApiError');
+
+// POST JSON to a provider and map transport/HTTP failures to ApiError
+async function postJson(url, body, { label, timeout, headers = {} }) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(timeout)
+    });
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      throw new ApiError(`${label} timed out`, 'TIMEOUT', 504);
+    }
+    throw new ApiError(`${label} service unavailable`, 'SERVICE_UNAVAILABLE', 502);
+  }
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    switch (response.status) {
+      case 403:
+        throw new ApiError(`${label} quota exceeded or invalid API key`, 'QUOTA_EXCEEDED', 403);
+      case 429:
+        throw new ApiError(`${label} rate limit exceeded`, 'RATE_LIMITED', 429);
+      default:
+        throw new ApiError(
+          data.error?.message || data.error || `${label} error (HTTP ${response.status})`,
+          'PROVIDER_ERROR',
+          502
+        );
+    }
+  }
+
+  return data;
+}
+
+module.exports = { postJson };
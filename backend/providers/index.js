@@ -0,0 +1,64 @@
+// backend/providers/index.js
+const { createLibreProvider } = require('./libreProvider');
+const { createGoogleProvider } = require('./googleProvider');
+const { createDeeplProvider } = require('./deeplProvider');
+const { createMockProvider } = require('./mockProvider');
+const { createRateLimiter } = require('../utils/rateLimiter');
+const { createCircuitBreaker } = require('../utils/circuitBreaker');
+
+// An adapter is { name, languages, maxTextLength, rateLimit, maxConcurrency,
+// translate(text, target, source) }. `languages: null` means any language;
+// `rateLimit` ({ requests, intervalMs }) is enforced locally. Every provider
+// also gets a circuit breaker so a failing one is skipped for a while.
+const PROVIDER_FACTORIES = {
+  libretranslate: createLibreProvider,
+  google: createGoogleProvider,
+  deepl: createDeeplProvider,
+  mock: createMockProvider
+};
+
+// Make another adapter available to TRANSLATE_PROVIDERS by name
+function registerProvider(name, factory) {
+  PROVIDER_FACTORIES[name] = factory;
+}
+
+function createProvider(name, options) {
+  const factory = PROVIDER_FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown translation provider "${name}"`);
+  }
+
+  const adapter = factory(options);
+  return {
+    ...adapter,
+    languages: adapter.languages || null,
+    maxTextLength: adapter.maxTextLength ?? Infinity,
+    maxConcurrency: adapter.maxConcurrency ?? 1,
+    limiter: createRateLimiter(adapter.rateLimit || {}),
+    breaker: createCircuitBreaker(options.breaker)
+  };
+}
+
+// Build every provider named in the default or a per-language order.
+// forLanguage(code) returns the ones to try for that target, in order,
+// leaving out adapters that do not support it.
+function createProviderRegistry(options) {
+  const names = new Set([
+    ...options.providers,
+    ...Object.values(options.languageOrder).flat()
+  ]);
+  const providers = new Map([...names].map(name => [name, createProvider(name, options)]));
+
+  return {
+    all: [...providers.values()],
+
+    forLanguage(code) {
+      const order = options.languageOrder[code] || options.providers;
+      return order
+        .map(name => providers.get(name))
+        .filter(provider => !provider.languages || provider.languages.includes(code));
+    }
+  };
+}
+
+module.exports = { createProviderRegistry, registerProvider };
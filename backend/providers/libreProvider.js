@@ -0,0 +1,41 @@
+// backend/providers/libreProvider.js
+const { postJson } = require('./http');
+const { ApiError } = require('../utils/ApiError');
+
+// Any LibreTranslate-compatible server (POST /translate)
+function createLibreProvider({ libretranslateURL, libretranslateKey, timeout }) {
+  return {
+    name: 'libretranslate',
+    // Languages depend on the server's installed models
+    languages: null,
+    maxTextLength: 5000,
+    // Public instances throttle aggressively
+    rateLimit: { requests: 30, intervalMs: 60 * 1000 },
+    maxConcurrency: 2,
+
+    async translate(text, target, source) {
+      const data = await postJson(
+        `${libretranslateURL}/translate`,
+        {
+          q: text,
+          source,
+          target,
+          format: 'text',
+          api_key: libretranslateKey
+        },
+        { label: 'LibreTranslate', timeout }
+      );
+
+      if (!data.translatedText) {
+        throw new ApiError('Invalid response from LibreTranslate', 'INVALID_RESPONSE', 502);
+      }
+
+      return {
+        translatedText: data.translatedText,
+        detectedLanguage: data.detectedLanguage?.language || data.detectedLanguage || source
+      };
+    }
+  };
+}
+
+module.exports = { createLibreProvider };
@@ -0,0 +1,25 @@
+// backend/providers/mockProvider.js
+
+// Deterministic provider for offline development: tags every non-empty line
+// with the target language so the output keeps the input's layout.
+function createMockProvider() {
+  return {
+    name: 'mock',
+    languages: null,
+    maxTextLength: Infinity,
+    rateLimit: null,
+    maxConcurrency: Infinity,
+
+    async translate(text, target, source) {
+      return {
+        translatedText: text
+          .split('\n')
+          .map(line => (line.trim() ? `[${target}] ${line}` : line))
+          .join('\n'),
+        detectedLanguage: source === 'auto' ? 'en' : source
+      };
+    }
+  };
+}
+
+module.exports = { createMockProvider };
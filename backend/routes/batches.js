@@ -0,0 +1,58 @@
+// backend/routes/batches.js
+const express = require('express');
+const { createBatch, getBatch, cancelBatch, buildBatchZip } = require('../services/batchService');
+const { sendError } = require('../utils/ApiError');
+
+const router = express.Router();
+
+// POST /api/batches { urls: [...], target, source?, glossary? }
+// Queue a batch translation of video and playlist links into `target`.
+// Responds 202 with the batch: { id, status, counts, items: [{ videoId,
+// status, attempts, title, error }] }.
+router.post('/batches', async (req, res) => {
+  try {
+    const { urls, target, source, glossary } = req.body || {};
+    const data = await createBatch({
+      urls,
+      target,
+      source: source || 'auto',
+      glossary: Array.isArray(glossary) ? glossary : []
+    });
+    res.status(202).json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// GET /api/batches/:id — status of the batch and of each video
+router.get('/batches/:id', (req, res) => {
+  try {
+    res.json({ success: true, data: getBatch(req.params.id) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// POST /api/batches/:id/cancel — stop the batch, keeping finished videos
+router.post('/batches/:id/cancel', (req, res) => {
+  try {
+    res.json({ success: true, data: cancelBatch(req.params.id) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// GET /api/batches/:id/download?format=txt — zip of every translated
+// video in one export format, once the batch has finished
+router.get('/batches/:id/download', async (req, res) => {
+  try {
+    const { content, filename } = await buildBatchZip(req.params.id, req.query.format || 'txt');
+    res.attachment(filename);
+    res.type('application/zip');
+    res.send(content);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,39 @@
+// backend/routes/cache.js
+const express = require('express');
+const cache = require('../services/cacheService');
+const { ApiError, sendError } = require('../utils/ApiError');
+const { isLanguageCode } = require('../utils/languages');
+
+const router = express.Router();
+
+// DELETE /api/cache/:videoId?target=si — drop cached lyrics/translations
+router.delete('/cache/:videoId', async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const { target } = req.query;
+
+    if (!/^[a-zA-Z0-9_-]{11}$/.test(videoId)) {
+      throw new ApiError('Invalid video ID', 'INVALID_REQUEST', 400);
+    }
+    if (target && !isLanguageCode(target)) {
+      throw new ApiError('Invalid target language', 'INVALID_REQUEST', 400);
+    }
+
+    const removed = await cache.invalidate({ videoId, targetLanguage: target });
+    res.json({ success: true, data: { removed } });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// DELETE /api/cache — drop everything
+router.delete('/cache', async (req, res) => {
+  try {
+    const removed = await cache.invalidate();
+    res.json({ success: true, data: { removed } });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
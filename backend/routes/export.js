@@ -0,0 +1,23 @@
+// backend/routes/export.js
+const express = require('express');
+const { exportLyrics } = require('../services/exportService');
+const { sendError } = require('../utils/ApiError');
+
+const router = express.Router();
+
+// POST /api/export/:format  (txt | md | json | pdf | docx)
+// Body: a pipeline result — { title, artist, videoId, sourceLanguage,
+// targetLanguage, provider, lines: [{ original, translated }] }. Responds
+// with the file as an attachment.
+router.post('/export/:format', async (req, res) => {
+  try {
+    const { content, mimeType, filename } = await exportLyrics(req.body, req.params.format);
+    res.attachment(filename);
+    res.type(mimeType);
+    res.send(content);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,22 @@
+// backend/routes/lyrics.js
+const express = require('express');
+const { getLyrics } = require('../services/lyricsService');
+const { extractVideoId } = require('../utils/youtube');
+const { sendError } = require('../utils/ApiError');
+
+const router = express.Router();
+
+// GET /api/lyrics?url=<youtube url>
+router.get('/lyrics', async (req, res) => {
+  try {
+    const videoId = extractVideoId(req.query.url);
+    const data = await getLyrics(videoId);
+
+    console.log(`🎵 Lyrics for ${videoId} served from ${data.source}`);
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
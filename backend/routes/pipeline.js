@@ -0,0 +1,97 @@
+// backend/routes/pipeline.js
+const express = require('express');
+const { runLyricsTranslate } = require('../services/pipelineService');
+const { createJob, getJob, cancelJob } = require('../services/jobService');
+const { sendError, serializeError } = require('../utils/ApiError');
+const { openEventStream } = require('../utils/eventStream');
+
+const router = express.Router();
+
+// The pipeline request in a /lyrics-translate body. `target` defaults to
+// Sinhala unless `targets` is given.
+function readPipelineRequest(body = {}) {
+  const { url, target = 'si', targets, source, refresh = false, glossary } = body;
+  const { lyrics, title, artist, timedLines } = body;
+  const manual = lyrics !== undefined ? { lyrics, title, artist, timedLines } : null;
+
+  return {
+    url,
+    target: targets === undefined ? target : null,
+    targets,
+    source: source || 'auto',
+    refresh: refresh === true,
+    manual,
+    glossary: Array.isArray(glossary) ? glossary : []
+  };
+}
+
+// POST /api/lyrics-translate { url, target, source?, refresh? }
+// With `lyrics` (plus optional title, artist, timedLines) the pasted lyrics
+// are translated instead of extracting them; `url` is then optional.
+// `targets: [...]` in place of `target` returns a per-language `results` map.
+// `glossary: [{ term, translation, source?, target? }]` forces or protects
+// terms (an empty translation keeps the term as written).
+router.post('/lyrics-translate', async (req, res) => {
+  const steps = [];
+
+  try {
+    const data = await runLyricsTranslate(readPipelineRequest(req.body), steps);
+    res.json({ success: true, data, steps });
+  } catch (error) {
+    sendError(res, error, { steps });
+  }
+});
+
+// POST /api/lyrics-translate/stream (same body)
+// Server-Sent Events: 'lyrics', then 'lines' as batches are translated,
+// and finally 'result' ({ data, steps }) or 'error' ({ error, steps }).
+// Closing the connection cancels the remaining batches.
+router.post('/lyrics-translate/stream', async (req, res) => {
+  const stream = openEventStream(res);
+  const steps = [];
+
+  try {
+    const data = await runLyricsTranslate(
+      { ...readPipelineRequest(req.body), onEvent: stream.send, signal: stream.signal },
+      steps
+    );
+    stream.send('result', { data, steps });
+  } catch (error) {
+    stream.send('error', { error: serializeError(error), steps });
+  }
+  stream.close();
+});
+
+// POST /api/jobs (same body as /lyrics-translate)
+// Run the pipeline in the background. Responds 202 at once with the job:
+// { id, status: 'queued', progress, steps, result, error, ... }.
+router.post('/jobs', async (req, res) => {
+  try {
+    const data = await createJob(readPipelineRequest(req.body));
+    res.status(202).json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// GET /api/jobs/:id — status ('queued', 'running', 'completed', 'failed' or
+// 'cancelled'), progress ({ completed, total } lines) and, once finished,
+// `result` (what /lyrics-translate returns as `data`) or `error`
+router.get('/jobs/:id', (req, res) => {
+  try {
+    res.json({ success: true, data: getJob(req.params.id) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// POST /api/jobs/:id/cancel
+router.post('/jobs/:id/cancel', (req, res) => {
+  try {
+    res.json({ success: true, data: cancelJob(req.params.id) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
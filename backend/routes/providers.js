@@ -0,0 +1,13 @@
+// backend/routes/providers.js
+const express = require('express');
+const { getProviderHealth } = require('../services/translationService');
+
+const router = express.Router();
+
+// GET /api/providers/health — capabilities and circuit-breaker state
+// (closed / open / half-open) of every translation provider
+router.get('/providers/health', (req, res) => {
+  res.json({ success: true, data: { providers: getProviderHealth() } });
+});
+
+module.exports = router;
@@ -0,0 +1,136 @@
+// backend/routes/translate.js
+const express = require('express');
+const {
+  translate,
+  translateLines,
+  translateMany,
+  compareProviders,
+  normalizeTarget
+} = require('../services/translationService');
+const { savePreferred } = require('../services/preferredService');
+const { listRevisions, saveRevision, revertRevision } = require('../services/revisionService');
+const { ApiError, sendError } = require('../utils/ApiError');
+const { getLanguageCode, isLanguageCode } = require('../utils/languages');
+const { selectGlossaryTerms, translateWithGlossary } = require('../utils/glossary');
+
+const router = express.Router();
+
+// POST /api/translate
+// Accepts { text, target, source } (TranslateApi) and
+// { text, targetLanguage, sourceLanguage } (LyricsApi).
+// `mode: 'lines'` translates line by line and keeps the lyrics layout.
+// `glossary: [{ term, translation, source?, target? }]` forces or protects
+// terms as in /lyrics-translate.
+// `targets: [...]` translates into several languages and responds with
+// { results: { [code]: { success, data | error } } }.
+router.post('/translate', async (req, res) => {
+  try {
+    const { text, mode, targets } = req.body || {};
+    const glossary = Array.isArray(req.body?.glossary) ? req.body.glossary : [];
+    const target = req.body?.target || req.body?.targetLanguage;
+    const source = req.body?.source || req.body?.sourceLanguage || 'auto';
+
+    if (targets !== undefined) {
+      const results = await translateMany({ text, targets, source, mode, glossary });
+      return res.json({ success: true, data: { results } });
+    }
+
+    const targetCode = normalizeTarget(target);
+    const translator = mode === 'lines' ? translateLines : translate;
+    const terms = selectGlossaryTerms(glossary, {
+      source: source === 'auto' ? null : getLanguageCode(source),
+      target: targetCode
+    });
+
+    const data = await translateWithGlossary(translator, { text, target: targetCode, source, glossary: terms });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// POST /api/translate/compare { text, target, source? }
+// Line-mode translation through every provider for the target, as
+// { results: { [provider]: { success, data | error } } }.
+router.post('/translate/compare', async (req, res) => {
+  try {
+    const { text, target, source = 'auto' } = req.body || {};
+    const results = await compareProviders({ text, target: normalizeTarget(target), source });
+    res.json({ success: true, data: { results } });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Per-song routes take a video ID and a target language code
+function validateSong(videoId, target) {
+  if (!/^[a-zA-Z0-9_-]{11}$/.test(videoId)) {
+    throw new ApiError('Invalid video ID', 'INVALID_REQUEST', 400);
+  }
+  if (!isLanguageCode(target)) {
+    throw new ApiError('Invalid target language', 'INVALID_REQUEST', 400);
+  }
+}
+
+// PUT /api/translate/preferred/:videoId { target, lyricsHash, lines }
+// Save the lines picked in compare mode as the song's preferred translation.
+router.put('/translate/preferred/:videoId', async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const { target, lyricsHash, lines } = req.body || {};
+    validateSong(videoId, target);
+
+    const data = await savePreferred({ videoId, target, lyricsHash, lines });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// GET /api/translate/revisions/:videoId?target=si
+// Every human-edited version of the song's translation, oldest first.
+router.get('/translate/revisions/:videoId', async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const { target } = req.query;
+    validateSong(videoId, target);
+
+    const versions = await listRevisions(videoId, target);
+    res.json({ success: true, data: { versions } });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// POST /api/translate/revisions/:videoId
+// { target, lyricsHash, lines, author, baseLines? } saves edited lines as a
+// new version, served from then on ahead of machine translation.
+router.post('/translate/revisions/:videoId', async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const { target, lyricsHash, lines, author, baseLines } = req.body || {};
+    validateSong(videoId, target);
+
+    const data = await saveRevision({ videoId, target, lyricsHash, lines, author, baseLines });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// POST /api/translate/revisions/:videoId/revert { target, version, author }
+// Restores an earlier version as the newest one.
+router.post('/translate/revisions/:videoId/revert', async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const { target, version, author } = req.body || {};
+    validateSong(videoId, target);
+
+    const data = await revertRevision({ videoId, target, version, author });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
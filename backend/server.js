@@ -1,9 +1,18 @@
 const express = require('express');
 const cors = require('cors');
+const config = require('./config');
+const lyricsRoutes = require('./routes/lyrics');
+const translateRoutes = require('./routes/translate');
+const pipelineRoutes = require('./routes/pipeline');
+const cacheRoutes = require('./routes/cache');
+const providerRoutes = require('./routes/providers');
+const exportRoutes = require('./routes/export');
+const batchRoutes = require('./routes/batches');
+const { restoreJobs } = require('./services/jobService');
 const app = express();
 
 // Middleware
-app.use(cors({ origin: 'http://localhost:3000' }));
+app.use(cors({ origin: config.corsOrigin }));
 app.use(express.json());
 
 // Test route - මෙම route එක අනිවාර්යයි
@@ -16,9 +25,23 @@ app.get('/api/test', (req, res) => {
   });
 });
 
+// API routes
+app.use('/api', lyricsRoutes);
+app.use('/api', translateRoutes);
+app.use('/api', pipelineRoutes);
+app.use('/api', cacheRoutes);
+app.use('/api', providerRoutes);
+app.use('/api', exportRoutes);
+app.use('/api', batchRoutes);
+
 // Server start
-const PORT = 5000;
+const PORT = config.port;
 app.listen(PORT, () => {
-  console.log('✅ Server running on port 5000');
-  console.log('✅ Test URL: http://localhost:5000/api/test');
-});
\ No newline at end of file
+  console.log(`✅ Server running on port ${PORT}`);
+  console.log(`✅ Test URL: http://localhost:${PORT}/api/test`);
+});
+
+// Pick up the jobs that were queued or running before the last restart
+restoreJobs()
+  .then(count => count > 0 && console.log(`✅ Resumed ${count} background job(s)`))
+  .catch(error => console.error('❌ Could not restore background jobs:', error));
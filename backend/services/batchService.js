@@ -0,0 +1,233 @@
+// backend/services/batchService.js
+const crypto = require('crypto');
+const JSZip = require('jszip');
+const config = require('../config');
+const { runLyricsTranslate } = require('./pipelineService');
+const { normalizeTarget } = require('./translationService');
+const { getPlaylistVideoIds } = require('./playlistService');
+const { exportLyrics, EXPORT_FORMATS } = require('./exportService');
+const { ApiError, serializeError } = require('../utils/ApiError');
+const { extractVideoId, extractPlaylistId } = require('../utils/youtube');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { withRetry } = require('../utils/retry');
+
+// Batch jobs: many videos translated into one language. Batches wait in a
+// queue and run one at a time, each with at most `batch.concurrency`
+// videos in flight; every video is retried like a single request would be
+// and settles on its own. Batches live in memory and are dropped
+// `batch.ttl` after they finish.
+const batches = new Map();
+const queue = [];
+let active = null;
+
+const watchUrl = videoId => `https://www.youtube.com/watch?v=${videoId}`;
+
+// Video IDs of the submitted links, playlists expanded, in order and
+// without repeats
+async function resolveVideoIds(urls) {
+  if (!Array.isArray(urls) || urls.filter(url => typeof url === 'string' && url.trim()).length === 0) {
+    throw new ApiError('At least one YouTube link is required', 'INVALID_URL', 400);
+  }
+
+  const videoIds = [];
+  for (const url of urls.map(item => String(item ?? '').trim()).filter(Boolean)) {
+    const playlistId = extractPlaylistId(url);
+    let ids;
+    try {
+      ids = playlistId ? await getPlaylistVideoIds(playlistId) : [extractVideoId(url)];
+    } catch (error) {
+      if (error.type !== 'INVALID_URL') throw error;
+      throw new ApiError(`Not a YouTube video or playlist link: ${url}`, 'INVALID_URL', 400);
+    }
+    for (const id of ids) {
+      if (!videoIds.includes(id)) videoIds.push(id);
+    }
+  }
+
+  if (videoIds.length > config.batch.maxVideos) {
+    throw new ApiError(
+      `Too many videos. Maximum ${config.batch.maxVideos} per batch`,
+      'TOO_MANY_VIDEOS',
+      400
+    );
+  }
+  return videoIds;
+}
+
+// The public view of a batch: everything but the results and controller
+function snapshot(batch) {
+  const counts = { queued: 0, running: 0, done: 0, failed: 0, cancelled: 0 };
+  batch.items.forEach(item => {
+    counts[item.status]++;
+  });
+
+  return {
+    id: batch.id,
+    status: batch.status,
+    target: batch.target,
+    source: batch.source,
+    createdAt: batch.createdAt,
+    startedAt: batch.startedAt,
+    finishedAt: batch.finishedAt,
+    counts,
+    items: batch.items.map(item => ({ ...item }))
+  };
+}
+
+function findBatch(id) {
+  const batch = batches.get(id);
+  if (!batch) {
+    throw new ApiError('Batch not found. Finished batches expire after a while', 'NOT_FOUND', 404);
+  }
+  return batch;
+}
+
+function finish(batch, status) {
+  batch.status = status;
+  batch.finishedAt = new Date().toISOString();
+  setTimeout(() => batches.delete(batch.id), config.batch.ttl).unref();
+}
+
+async function processItem(batch, item) {
+  if (batch.controller.signal.aborted) {
+    item.status = 'cancelled';
+    return;
+  }
+
+  item.status = 'running';
+  try {
+    const data = await withRetry(
+      attempt => {
+        item.attempts = attempt;
+        return runLyricsTranslate({
+          url: watchUrl(item.videoId),
+          target: batch.target,
+          source: batch.source,
+          glossary: batch.glossary,
+          signal: batch.controller.signal
+        });
+      },
+      { maxRetries: config.batch.maxRetries, delay: config.batch.retryDelay }
+    );
+
+    batch.results.set(item.videoId, data);
+    Object.assign(item, { status: 'done', title: data.title, artist: data.artist, provider: data.provider });
+  } catch (error) {
+    item.status = error.type === 'CANCELLED' ? 'cancelled' : 'failed';
+    item.error = serializeError(error);
+  }
+}
+
+// Run queued batches one after another. Whatever happens to one batch, it
+// ends finished and the next one starts.
+async function runQueue() {
+  if (active || queue.length === 0) return;
+
+  const batch = queue.shift();
+  active = batch;
+  batch.status = 'running';
+  batch.startedAt = new Date().toISOString();
+
+  let status = 'completed';
+  try {
+    await mapWithConcurrency(batch.items, config.batch.concurrency, item => processItem(batch, item));
+  } catch (error) {
+    console.error(`❌ Batch ${batch.id} stopped:`, error.message);
+    status = 'failed';
+  } finally {
+    finish(batch, batch.controller.signal.aborted ? 'cancelled' : status);
+    active = null;
+    runQueue();
+  }
+}
+
+// Queue a batch for `urls` (video and playlist links). Resolves once the
+// links are checked, with the queued batch.
+async function createBatch({ urls, target, source = 'auto', glossary = [] }) {
+  const targetCode = normalizeTarget(target);
+  const videoIds = await resolveVideoIds(urls);
+  const batch = {
+    id: crypto.randomUUID(),
+    status: 'queued',
+    target: targetCode,
+    source,
+    glossary,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    items: videoIds.map(videoId => ({
+      videoId,
+      status: 'queued',
+      attempts: 0,
+      title: null,
+      artist: null,
+      provider: null,
+      error: null
+    })),
+    results: new Map(),
+    controller: new AbortController()
+  };
+
+  batches.set(batch.id, batch);
+  queue.push(batch);
+  runQueue();
+  return snapshot(batch);
+}
+
+function getBatch(id) {
+  return snapshot(findBatch(id));
+}
+
+// Stop a batch: a queued one never starts, a running one finishes the
+// videos in flight as cancelled and keeps those already done
+function cancelBatch(id) {
+  const batch = findBatch(id);
+
+  if (batch.status === 'queued') {
+    queue.splice(queue.indexOf(batch), 1);
+    batch.items.forEach(item => {
+      item.status = 'cancelled';
+    });
+    finish(batch, 'cancelled');
+  } else if (batch.status === 'running') {
+    batch.controller.abort();
+  }
+  return snapshot(batch);
+}
+
+// Zip of every translated video as `format` (see EXPORT_FORMATS) plus a
+// batch.json summary with each video's status
+async function buildBatchZip(id, format) {
+  const batch = findBatch(id);
+
+  if (!EXPORT_FORMATS[format]) {
+    throw new ApiError(
+      `Unsupported export format "${format}". Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`,
+      'INVALID_REQUEST',
+      400
+    );
+  }
+  if (batch.status === 'queued' || batch.status === 'running') {
+    throw new ApiError('The batch is still running', 'BATCH_NOT_FINISHED', 409);
+  }
+
+  const zip = new JSZip();
+  const width = String(batch.items.length).length;
+
+  for (const [index, item] of batch.items.entries()) {
+    const result = batch.results.get(item.videoId);
+    if (!result) continue;
+
+    const { content, filename } = await exportLyrics(result, format);
+    // Numbered in batch order, which also keeps same-titled songs apart
+    zip.file(`${String(index + 1).padStart(width, '0')} - ${filename}`, content);
+  }
+  zip.file('batch.json', JSON.stringify(snapshot(batch), null, 2));
+
+  return {
+    content: await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' }),
+    filename: `batch-${batch.id.slice(0, 8)}.${batch.target}.zip`
+  };
+}
+
+module.exports = { createBatch, getBatch, cancelBatch, buildBatchZip };
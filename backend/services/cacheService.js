@@ -0,0 +1,81 @@
+// backend/services/cacheService.js
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../config');
+const { writeFileAtomic } = require('../utils/atomicWrite');
+
+// File-backed cache, one JSON file per entry. Keys are built from video IDs,
+// language codes, provider names and hashes, so they are safe as filenames
+// and every key starts with "<videoId>." for per-video invalidation.
+const { enabled, dir, ttl } = config.cache;
+
+const fileFor = key => path.join(dir, `${key}.json`);
+
+function hashLyrics(lyrics) {
+  return crypto.createHash('sha256').update(lyrics).digest('hex').slice(0, 16);
+}
+
+function lyricsKey(videoId) {
+  return `${videoId}.lyrics`;
+}
+
+function translationKey({ videoId, targetLanguage, provider, lyricsHash }) {
+  return `${videoId}.${targetLanguage}.${provider}.${lyricsHash}`;
+}
+
+async function get(key) {
+  if (!enabled) return null;
+
+  let entry;
+  try {
+    entry = JSON.parse(await fs.readFile(fileFor(key), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    console.warn(`⚠️ Ignoring unreadable cache entry ${key}:`, error.message);
+    return null;
+  }
+
+  if (entry.expiresAt < Date.now()) {
+    await fs.rm(fileFor(key), { force: true });
+    return null;
+  }
+
+  return entry;
+}
+
+async function set(key, value) {
+  if (!enabled) return null;
+
+  const now = Date.now();
+  const entry = { key, createdAt: now, expiresAt: now + ttl, value };
+
+  await writeFileAtomic(fileFor(key), JSON.stringify(entry));
+
+  return entry;
+}
+
+// Remove entries for one video (optionally one target language), or
+// everything when no videoId is given. Returns the number removed.
+async function invalidate({ videoId, targetLanguage } = {}) {
+  let files;
+  try {
+    files = await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
+
+  const matches = files.filter((file) => {
+    if (!file.endsWith('.json')) return false;
+    if (!videoId) return true;
+
+    const [fileVideoId, fileTarget] = file.split('.');
+    return fileVideoId === videoId && (!targetLanguage || fileTarget === targetLanguage);
+  });
+
+  await Promise.all(matches.map(file => fs.rm(path.join(dir, file), { force: true })));
+  return matches.length;
+}
+
+module.exports = { hashLyrics, lyricsKey, translationKey, get, set, invalidate };
@@ -0,0 +1,297 @@
+// backend/services/exportService.js
+const PDFDocument = require('pdfkit');
+const {
+  Document,
+  Packer,
+  Paragraph,
+  TextRun,
+  HeadingLevel,
+  Table,
+  TableRow,
+  TableCell,
+  TableBorders,
+  WidthType
+} = require('docx');
+const { ApiError } = require('../utils/ApiError');
+const { getLanguageCode, getLanguageName } = require('../utils/languages');
+const { SCRIPT_FONTS, splitScriptRuns, fontFile, fontFamily } = require('../utils/scriptFonts');
+
+// Lyric sheets of a translated song. Every format is built here from the
+// same "sheet" so the files match whichever client asked for them.
+const MAX_LINES = 2000;
+
+// Results that no single translation provider produced
+const PROVIDER_LABELS = {
+  preferred: 'preferred translation',
+  verbatim: 'already in the target language'
+};
+
+function describeProvider(sheet) {
+  if (sheet.provider === 'human') {
+    return sheet.revision
+      ? `reviewed by ${sheet.revision.author} (v${sheet.revision.version})`
+      : 'edited by hand';
+  }
+  return PROVIDER_LABELS[sheet.provider] || (sheet.provider && `translated by ${sheet.provider}`);
+}
+
+// The exported fields of a pipeline result. Lines with no original text
+// are kept: they separate stanzas.
+function toSheet(result) {
+  const lines = result?.lines;
+
+  if (!Array.isArray(lines) || !lines.some(line => String(line?.original ?? '').trim())) {
+    throw new ApiError('Lyrics lines are required for export', 'INVALID_REQUEST', 400);
+  }
+  if (lines.length > MAX_LINES) {
+    throw new ApiError(`Too many lines. Maximum ${MAX_LINES} allowed`, 'INVALID_REQUEST', 400);
+  }
+
+  const source = result.sourceLanguage && result.sourceLanguage !== 'auto'
+    ? result.sourceLanguage
+    : result.detection?.language || result.detectedLanguage;
+  const text = value => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+  return {
+    title: text(result.title),
+    artist: text(result.artist),
+    videoId: text(result.videoId),
+    url: result.videoId ? `https://www.youtube.com/watch?v=${result.videoId}` : null,
+    sourceLanguage: getLanguageCode(source) || null,
+    targetLanguage: getLanguageCode(result.targetLanguage) || null,
+    provider: text(result.provider),
+    revision: result.revision || null,
+    lines: lines.map(line => ({
+      original: String(line?.original ?? ''),
+      translated: String(line?.translated ?? '')
+    }))
+  };
+}
+
+// 'Sinhala to English · translated by google'
+function describeSheet(sheet) {
+  const languages = [sheet.sourceLanguage, sheet.targetLanguage]
+    .filter(Boolean)
+    .map(getLanguageName)
+    .join(' to ');
+  return [languages, describeProvider(sheet)].filter(Boolean).join(' · ');
+}
+
+const headingOf = sheet => sheet.title || 'Untitled';
+
+function renderText(sheet) {
+  const body = sheet.lines.map(line =>
+    line.original.trim()
+      ? [line.original, line.translated && `  ${line.translated}`].filter(Boolean).join('\n')
+      : ''
+  );
+
+  const header = [headingOf(sheet), sheet.artist, describeSheet(sheet)].filter(Boolean);
+  return [...header, '', ...body].join('\n') + '\n';
+}
+
+const escapeMarkdown = text => text.replace(/([\\`*_[\]#<>|])/g, '\\$1');
+
+function renderMarkdown(sheet) {
+  const header = [`# ${escapeMarkdown(headingOf(sheet))}`];
+  if (sheet.artist) header.push(`**${escapeMarkdown(sheet.artist)}**`);
+  if (describeSheet(sheet)) header.push(escapeMarkdown(describeSheet(sheet)));
+  if (sheet.url) header.push(`[Watch on YouTube](${sheet.url})`);
+
+  // Hard line breaks inside a stanza, a blank line between stanzas
+  const stanzas = [[]];
+  for (const line of sheet.lines) {
+    if (!line.original.trim()) {
+      if (stanzas[stanzas.length - 1].length > 0) stanzas.push([]);
+      continue;
+    }
+    stanzas[stanzas.length - 1].push(escapeMarkdown(line.original));
+    if (line.translated.trim()) {
+      stanzas[stanzas.length - 1].push(`_${escapeMarkdown(line.translated.trim())}_`);
+    }
+  }
+
+  const body = stanzas.filter(stanza => stanza.length > 0).map(stanza => stanza.join('  \n'));
+  return [header.join('\n\n'), ...body].join('\n\n') + '\n';
+}
+
+function renderJson(sheet) {
+  return JSON.stringify({ ...sheet, exportedAt: new Date().toISOString() }, null, 2);
+}
+
+// PDF: A4, original and translation side by side, one row per line. The
+// Noto fonts are embedded (subset) so Sinhala and Tamil print anywhere.
+const PDF_MARGIN = 50;
+const PDF_GUTTER = 24;
+const PDF_FONT_SIZE = 11;
+
+function registerPdfFonts(doc) {
+  for (const script of Object.keys(SCRIPT_FONTS)) {
+    doc.registerFont(`${script}-regular`, fontFile(script, 'regular'));
+    doc.registerFont(`${script}-bold`, fontFile(script, 'bold'));
+  }
+}
+
+// Write `text` at (x, y), switching font at every change of script
+function writePdfRuns(doc, text, x, y, { width, weight = 'regular', size = PDF_FONT_SIZE, color = '#111111' }) {
+  const runs = splitScriptRuns(text);
+  doc.fontSize(size).fillColor(color);
+
+  runs.forEach((run, i) => {
+    doc.font(`${run.script}-${weight}`);
+    const options = { width, continued: i < runs.length - 1 };
+    if (i === 0) {
+      doc.text(run.text, x, y, options);
+    } else {
+      doc.text(run.text, options);
+    }
+  });
+}
+
+// Height of `text` in its widest-covering font; close enough to lay out rows
+function pdfTextHeight(doc, text, { width, weight = 'regular', size = PDF_FONT_SIZE }) {
+  if (!text) return 0;
+  const runs = splitScriptRuns(text);
+  const main = runs.reduce((longest, run) => (run.text.length > longest.text.length ? run : longest));
+  return doc.font(`${main.script}-${weight}`).fontSize(size).heightOfString(text, { width });
+}
+
+function renderPdf(sheet) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: PDF_MARGIN,
+      info: { Title: headingOf(sheet), Author: sheet.artist || undefined }
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    registerPdfFonts(doc);
+
+    const left = PDF_MARGIN;
+    const fullWidth = doc.page.width - PDF_MARGIN * 2;
+    const columnWidth = (fullWidth - PDF_GUTTER) / 2;
+    const right = left + columnWidth + PDF_GUTTER;
+    const bottom = () => doc.page.height - PDF_MARGIN;
+
+    writePdfRuns(doc, headingOf(sheet), left, PDF_MARGIN, { width: fullWidth, weight: 'bold', size: 20 });
+    if (sheet.artist) {
+      writePdfRuns(doc, sheet.artist, left, doc.y + 2, { width: fullWidth, size: 13, color: '#333333' });
+    }
+    writePdfRuns(doc, describeSheet(sheet), left, doc.y + 2, { width: fullWidth, size: 9, color: '#666666' });
+
+    let y = doc.y + 18;
+    const columnTitle = { width: columnWidth, weight: 'bold', size: 9, color: '#666666' };
+    writePdfRuns(doc, getLanguageName(sheet.sourceLanguage) || 'Original', left, y, columnTitle);
+    writePdfRuns(doc, getLanguageName(sheet.targetLanguage) || 'Translation', right, y, columnTitle);
+    y = doc.y + 8;
+
+    for (const line of sheet.lines) {
+      if (!line.original.trim()) {
+        y += PDF_FONT_SIZE;
+        continue;
+      }
+
+      const height = Math.max(
+        pdfTextHeight(doc, line.original, { width: columnWidth }),
+        pdfTextHeight(doc, line.translated, { width: columnWidth })
+      );
+      if (y + height > bottom()) {
+        doc.addPage();
+        y = PDF_MARGIN;
+      }
+
+      writePdfRuns(doc, line.original, left, y, { width: columnWidth });
+      if (line.translated.trim()) {
+        writePdfRuns(doc, line.translated, right, y, { width: columnWidth, color: '#1f4e79' });
+      }
+      y += height + 4;
+    }
+
+    doc.end();
+  });
+}
+
+// DOCX: the same two-column layout as a borderless table. Word does not
+// take the npm font files, so each run only names its Noto family.
+function docxRuns(text, options = {}) {
+  return splitScriptRuns(text).map(run => new TextRun({ text: run.text, font: fontFamily(run.script), ...options }));
+}
+
+function docxCell(text, options) {
+  return new TableCell({
+    width: { size: 50, type: WidthType.PERCENTAGE },
+    children: [new Paragraph({ children: docxRuns(text, options) })]
+  });
+}
+
+function renderDocx(sheet) {
+  const rows = [
+    new TableRow({
+      tableHeader: true,
+      children: [
+        docxCell(getLanguageName(sheet.sourceLanguage) || 'Original', { bold: true, color: '666666' }),
+        docxCell(getLanguageName(sheet.targetLanguage) || 'Translation', { bold: true, color: '666666' })
+      ]
+    }),
+    ...sheet.lines.map(line => new TableRow({
+      children: [docxCell(line.original), docxCell(line.translated, { color: '1F4E79' })]
+    }))
+  ];
+
+  const doc = new Document({
+    title: headingOf(sheet),
+    sections: [{
+      children: [
+        new Paragraph({ heading: HeadingLevel.TITLE, children: docxRuns(headingOf(sheet)) }),
+        ...(sheet.artist
+          ? [new Paragraph({ heading: HeadingLevel.HEADING_2, children: docxRuns(sheet.artist) })]
+          : []),
+        new Paragraph({ children: docxRuns(describeSheet(sheet), { color: '666666', size: 18 }) }),
+        new Table({
+          width: { size: 100, type: WidthType.PERCENTAGE },
+          borders: TableBorders.NONE,
+          rows
+        })
+      ]
+    }]
+  });
+
+  return Packer.toBuffer(doc);
+}
+
+const EXPORT_FORMATS = {
+  txt: { mimeType: 'text/plain; charset=utf-8', render: renderText },
+  md: { mimeType: 'text/markdown; charset=utf-8', render: renderMarkdown },
+  json: { mimeType: 'application/json; charset=utf-8', render: renderJson },
+  pdf: { mimeType: 'application/pdf', render: renderPdf },
+  docx: {
+    mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    render: renderDocx
+  }
+};
+
+// { content, mimeType, filename } of `result` in `format`
+async function exportLyrics(result, format) {
+  const exporter = EXPORT_FORMATS[format];
+  if (!exporter) {
+    throw new ApiError(
+      `Unsupported export format "${format}". Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`,
+      'INVALID_REQUEST',
+      400
+    );
+  }
+
+  const sheet = toSheet(result);
+  const baseName = (sheet.title || sheet.videoId || 'lyrics').replace(/[\\/:*?"<>|]+/g, '_');
+
+  return {
+    content: await exporter.render(sheet),
+    mimeType: exporter.mimeType,
+    filename: `${baseName}.${sheet.targetLanguage || 'translated'}.${format}`
+  };
+}
+
+module.exports = { exportLyrics, EXPORT_FORMATS };
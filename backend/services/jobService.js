@@ -0,0 +1,226 @@
+// backend/services/jobService.js
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../config');
+const { runLyricsTranslate } = require('./pipelineService');
+const { ApiError, serializeError } = require('../utils/ApiError');
+const { extractVideoId } = require('../utils/youtube');
+const { writeFileAtomic } = require('../utils/atomicWrite');
+
+// Pipeline runs as background jobs, so a long video does not depend on one
+// HTTP request staying open. Each job is a JSON file holding its request,
+// status, progress and finally the result or error. Jobs that were queued
+// or running when the server stopped are queued again on start, up to
+// `jobs.maxAttempts` starts; finished jobs are deleted `jobs.ttl` after
+// they finish.
+const dir = config.jobs.dir;
+const ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+const jobs = new Map();
+const controllers = new Map();
+const queue = [];
+let runningCount = 0;
+
+const fileFor = id => path.join(dir, `${id}.json`);
+
+// Writes of one job run one after another so the newest state wins
+const writes = new Map();
+function saveJob(job) {
+  const previous = writes.get(job.id) || Promise.resolve();
+  const next = previous.catch(() => {}).then(() =>
+    writeFileAtomic(fileFor(job.id), JSON.stringify(job, null, 2))
+  );
+  writes.set(job.id, next);
+  next.finally(() => {
+    if (writes.get(job.id) === next) writes.delete(job.id);
+  }).catch(error => {
+    console.warn(`⚠️ Could not save job ${job.id}:`, error.message);
+  });
+  return next;
+}
+
+const isFinished = job => ['completed', 'failed', 'cancelled'].includes(job.status);
+
+// The job as the API reports it; the request stays on the server. A job
+// has either `target` or `targets`.
+function publicJob(job) {
+  const { request, ...rest } = job;
+  const targets = request.targets || null;
+  return { ...rest, target: targets ? null : request.target || null, targets };
+}
+
+function scheduleExpiry(job) {
+  const delay = Math.max(0, new Date(job.finishedAt).getTime() + config.jobs.ttl - Date.now());
+
+  setTimeout(async () => {
+    jobs.delete(job.id);
+    await writes.get(job.id)?.catch(() => {});
+    await fs.rm(fileFor(job.id), { force: true });
+  }, delay).unref();
+}
+
+function finish(job, status) {
+  job.status = status;
+  job.finishedAt = new Date().toISOString();
+  controllers.delete(job.id);
+  scheduleExpiry(job);
+  saveJob(job).catch(() => {});
+}
+
+// Live progress in lines: { completed, total } over every target language
+function trackProgress(job) {
+  const targetCount = job.request.targets?.length || 1;
+  const completed = {};
+
+  return (type, data) => {
+    if (type === 'lyrics') {
+      job.progress = { completed: 0, total: data.totalLines * targetCount };
+    } else if (type === 'lines') {
+      completed[data.target] = data.completed;
+      job.progress = {
+        completed: Object.values(completed).reduce((sum, count) => sum + count, 0),
+        total: data.total * targetCount
+      };
+    } else {
+      return;
+    }
+    saveJob(job).catch(() => {});
+  };
+}
+
+async function run(job) {
+  const controller = new AbortController();
+  controllers.set(job.id, controller);
+
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+  job.attempts += 1;
+  job.steps = [];
+  await saveJob(job).catch(() => {});
+
+  try {
+    job.result = await runLyricsTranslate(
+      { ...job.request, onEvent: trackProgress(job), signal: controller.signal },
+      job.steps
+    );
+    // Lines served from a cache report no progress of their own
+    if (job.progress) job.progress.completed = job.progress.total;
+    finish(job, 'completed');
+  } catch (error) {
+    job.error = serializeError(error);
+    finish(job, error.type === 'CANCELLED' ? 'cancelled' : 'failed');
+  }
+}
+
+// Start queued jobs while there is room
+function pump() {
+  while (runningCount < config.jobs.concurrency && queue.length > 0) {
+    const job = queue.shift();
+    runningCount++;
+    run(job).finally(() => {
+      runningCount--;
+      pump();
+    });
+  }
+}
+
+// Queue a pipeline run. `request` is what runLyricsTranslate takes, minus
+// the callbacks. Links are checked here so a bad one fails at once.
+async function createJob(request) {
+  if (!request.manual) extractVideoId(request.url);
+
+  const job = {
+    id: crypto.randomUUID(),
+    type: 'lyrics-translate',
+    status: 'queued',
+    request,
+    progress: null,
+    steps: [],
+    result: null,
+    error: null,
+    attempts: 0,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null
+  };
+
+  jobs.set(job.id, job);
+  await saveJob(job);
+  queue.push(job);
+  pump();
+  return publicJob(job);
+}
+
+function findJob(id) {
+  const job = ID_PATTERN.test(id) && jobs.get(id);
+  if (!job) {
+    throw new ApiError('Job not found. Finished jobs expire after a while', 'NOT_FOUND', 404);
+  }
+  return job;
+}
+
+function getJob(id) {
+  return publicJob(findJob(id));
+}
+
+// A queued job never starts; a running one stops before its next batch
+function cancelJob(id) {
+  const job = findJob(id);
+
+  if (job.status === 'queued') {
+    queue.splice(queue.indexOf(job), 1);
+    job.error = serializeError(new ApiError('Translation cancelled', 'CANCELLED', 499));
+    finish(job, 'cancelled');
+  } else if (job.status === 'running') {
+    controllers.get(job.id)?.abort();
+  }
+  return publicJob(job);
+}
+
+// Load the jobs saved before a restart. Unfinished ones start over, in the
+// order they were submitted. A job already started `maxAttempts` times
+// fails instead: it may be what brought the server down.
+async function restoreJobs() {
+  let files;
+  try {
+    files = (await fs.readdir(dir)).filter(file => file.endsWith('.json'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
+
+  const pending = [];
+  for (const file of files) {
+    let job;
+    try {
+      job = JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'));
+    } catch (error) {
+      console.warn(`⚠️ Ignoring unreadable job ${file}:`, error.message);
+      continue;
+    }
+
+    jobs.set(job.id, job);
+    if (isFinished(job)) {
+      scheduleExpiry(job);
+    } else if (job.attempts >= config.jobs.maxAttempts) {
+      job.error = serializeError(new ApiError(
+        `Translation interrupted ${job.attempts} times and given up`,
+        'JOB_ABANDONED',
+        500
+      ));
+      finish(job, 'failed');
+    } else {
+      job.status = 'queued';
+      job.progress = null;
+      pending.push(job);
+    }
+  }
+
+  pending.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  queue.push(...pending);
+  pump();
+  return pending.length;
+}
+
+module.exports = { createJob, getJob, cancelJob, restoreJobs };
@@ -0,0 +1,78 @@
+// backend/services/lyricsService.js
+const config = require('../config');
+const { createLyricsSources } = require('../sources');
+const { saveManualLyrics } = require('../sources/manualSource');
+const { ApiError } = require('../utils/ApiError');
+
+const sources = createLyricsSources(config.lyrics);
+
+// Look the video up in each source in turn. A source returns null when it
+// does not know the video; a known video with empty lyrics stops the search.
+async function getLyrics(videoId) {
+  for (const source of sources) {
+    const result = await source.fetch(videoId);
+    if (!result) continue;
+
+    if (!result.lyrics || result.lyrics.trim().length === 0) {
+      throw new ApiError(
+        'No lyrics found in this video. Try a video with clear vocals or captions',
+        'NO_LYRICS_FOUND',
+        404
+      );
+    }
+
+    return {
+      lyrics: result.lyrics.trim(),
+      timedLines: Array.isArray(result.timedLines) && result.timedLines.length > 0
+        ? result.timedLines
+        : null,
+      title: result.title || null,
+      artist: result.artist || null,
+      duration: result.duration || null,
+      videoId,
+      source: source.name
+    };
+  }
+
+  throw new ApiError('Video not found or unavailable', 'VIDEO_NOT_FOUND', 404);
+}
+
+function sanitizeTimedLines(timedLines) {
+  if (!Array.isArray(timedLines)) return null;
+
+  const valid = timedLines
+    .filter(line => typeof line?.start === 'number' && typeof line.text === 'string')
+    .map(line => ({
+      start: line.start,
+      end: typeof line.end === 'number' ? line.end : null,
+      text: line.text
+    }));
+
+  return valid.length > 0 ? valid : null;
+}
+
+// Lyrics pasted or uploaded by the user. When they belong to a video they
+// are stored, so the next lookup of that video finds them.
+async function submitManualLyrics({ videoId = null, lyrics, title, artist, timedLines }) {
+  if (typeof lyrics !== 'string' || lyrics.trim().length === 0) {
+    throw new ApiError('Please paste the lyrics to translate', 'MISSING_TEXT', 400);
+  }
+
+  const timed = sanitizeTimedLines(timedLines);
+  const lastLine = timed?.[timed.length - 1];
+  const entry = {
+    lyrics: lyrics.trim(),
+    timedLines: timed,
+    title: typeof title === 'string' && title.trim() ? title.trim() : null,
+    artist: typeof artist === 'string' && artist.trim() ? artist.trim() : null,
+    duration: lastLine ? lastLine.end ?? lastLine.start : null
+  };
+
+  if (videoId) {
+    await saveManualLyrics(config.lyrics.manualDir, videoId, entry);
+  }
+
+  return { ...entry, videoId, source: 'manual' };
+}
+
+module.exports = { getLyrics, submitManualLyrics };
@@ -0,0 +1,327 @@
+// backend/services/pipelineService.js
+const { getLyrics, submitManualLyrics } = require('./lyricsService');
+const {
+  translateLines,
+  translateSegments,
+  forEachTarget,
+  normalizeTarget,
+  normalizeTargets,
+  getProviderNames
+} = require('./translationService');
+const cache = require('./cacheService');
+const { getPreferred } = require('./preferredService');
+const { getLatestRevision } = require('./revisionService');
+const { getLanguageCode } = require('../utils/languages');
+const { extractVideoId } = require('../utils/youtube');
+const { attachTimings } = require('../utils/lyricsLayout');
+const { romanize, hasRomanizableText } = require('../utils/transliteration');
+const { detectLanguages } = require('../utils/languageDetection');
+const { selectGlossaryTerms, findGlossaryTerms, translateWithGlossary } = require('../utils/glossary');
+const config = require('../config');
+
+// Run one pipeline stage, recording its timing in `steps`. A failure is
+// tagged with the stage so the client can say where the job broke.
+// `details` (e.g. the target language) is copied into the step.
+async function runStep(steps, stage, operation, details = {}) {
+  const startedAt = Date.now();
+
+  try {
+    const result = await operation();
+    steps.push({
+      stage,
+      ...details,
+      status: 'success',
+      durationMs: Date.now() - startedAt,
+      cached: Boolean(result.cached)
+    });
+    return result;
+  } catch (error) {
+    steps.push({ stage, ...details, status: 'failed', durationMs: Date.now() - startedAt });
+    error.stage = stage;
+    throw error;
+  }
+}
+
+// Lyrics by video ID, served from the cache when possible
+async function getLyricsCached(videoId, { refresh }) {
+  const key = cache.lyricsKey(videoId);
+  const entry = !refresh && await cache.get(key);
+  if (entry) {
+    return { ...entry.value, cached: true };
+  }
+
+  const lyrics = await getLyrics(videoId);
+  await cache.set(key, lyrics);
+  return { ...lyrics, cached: false };
+}
+
+// Pasted lyrics skip extraction. When linked to a video they are saved for
+// the manual lyrics source, which later lookups only reach when no other
+// source knows the video; the lyrics cache is left alone for the same reason.
+async function getManualLyrics({ url, manual }) {
+  const videoId = url ? extractVideoId(url) : null;
+  const lyrics = await submitManualLyrics({ ...manual, videoId });
+  return { ...lyrics, cached: false };
+}
+
+// Translate the lyrics with glossary terms masked, so no provider can
+// alter them (see ../utils/glossary). `sources` (see planSegments)
+// translates code-switched lyrics line group by line group instead of in
+// one piece.
+function translateMasked(lyrics, { target, source, sources, glossary, onLines, signal }) {
+  const options = { text: lyrics.lyrics, target, glossary, onLines, signal };
+  return sources
+    ? translateWithGlossary(translateSegments, { ...options, sources })
+    : translateWithGlossary(translateLines, { ...options, source });
+}
+
+// Translation keyed by video, target language, provider and lyrics hash.
+// The latest human-edited version wins over everything, even on refresh,
+// then a preferred translation saved in compare mode; otherwise any
+// configured provider's cached result is accepted, in fallback order.
+// Lyrics without a video are never cached, and neither are translations
+// where one of the user's glossary terms was found in the lyrics.
+// `onLines` and `signal` are passed to the translation (cached results
+// report no lines).
+async function translateLinesCached(
+  lyrics,
+  { target, source, sources, refresh, glossary = [], onLines = null, signal = null }
+) {
+  const terms = findGlossaryTerms(lyrics.lyrics, glossary);
+  const runTranslation = () =>
+    translateMasked(lyrics, { target, source, sources, glossary: terms, onLines, signal });
+
+  if (!lyrics.videoId) {
+    const translation = await runTranslation();
+    return { ...translation, lyricsHash: null, cached: false, expiresAt: null };
+  }
+
+  const keyParts = {
+    videoId: lyrics.videoId,
+    targetLanguage: getLanguageCode(target),
+    lyricsHash: cache.hashLyrics(lyrics.lyrics)
+  };
+
+  const revision = await getLatestRevision(lyrics.videoId, keyParts.targetLanguage, keyParts.lyricsHash);
+  if (revision) {
+    return {
+      translatedText: revision.translatedText,
+      lines: revision.lines,
+      detectedLanguage: source,
+      targetLanguage: keyParts.targetLanguage,
+      provider: 'human',
+      revision: { version: revision.version, author: revision.author, savedAt: revision.savedAt },
+      ...keyParts,
+      cached: false,
+      expiresAt: null
+    };
+  }
+
+  const preferred = await getPreferred(lyrics.videoId, keyParts.targetLanguage, keyParts.lyricsHash);
+  if (preferred) {
+    return {
+      translatedText: preferred.translatedText,
+      lines: preferred.lines,
+      detectedLanguage: source,
+      targetLanguage: keyParts.targetLanguage,
+      provider: 'preferred',
+      ...keyParts,
+      cached: false,
+      expiresAt: null
+    };
+  }
+
+  if (terms.length > 0) {
+    const translation = await runTranslation();
+    return { ...translation, ...keyParts, cached: false, expiresAt: null };
+  }
+
+  if (!refresh) {
+    for (const provider of getProviderNames()) {
+      const entry = await cache.get(cache.translationKey({ ...keyParts, provider }));
+      if (entry) {
+        return { ...entry.value, ...keyParts, cached: true, expiresAt: entry.expiresAt };
+      }
+    }
+  }
+
+  const translation = await runTranslation();
+  // Lyrics kept as they are cost no provider call, so there is nothing to cache
+  if (translation.provider === 'verbatim') {
+    return { ...translation, ...keyParts, cached: false, expiresAt: null };
+  }
+
+  const entry = await cache.set(
+    cache.translationKey({ ...keyParts, provider: translation.provider }),
+    translation
+  );
+
+  return { ...translation, ...keyParts, cached: false, expiresAt: entry?.expiresAt ?? null };
+}
+
+// Latin-script text beside each original and translated line, or null
+// where the line has nothing the transliterator can romanize
+function romanizeLines(lines) {
+  return lines.map(line => ({
+    ...line,
+    romanizedOriginal: hasRomanizableText(line.original) ? romanize(line.original) : null,
+    romanizedTranslated: hasRomanizableText(line.translated) ? romanize(line.translated) : null
+  }));
+}
+
+// The source language handed to the providers: the user's choice, else the
+// locally detected language when it is confident and the song sticks to
+// one language; mixed or unclear lyrics are left to the providers ('auto')
+function resolveSource(source, detection) {
+  if (source !== 'auto') return source;
+
+  const confident = detection.confidence >= config.translate.detection.minConfidence;
+  return detection.language && confident && !detection.mixed ? detection.language : 'auto';
+}
+
+// Per-line source languages for code-switched lyrics: a line confidently in
+// the target language is kept verbatim (null), as is a line without letters;
+// other lines keep their own detected language, or 'auto' when the language
+// is unknown or unsure. Returns null when the song can go through in one
+// piece (one source language and nothing to keep).
+function planSegments(text, detection, targetCode) {
+  const { lineConfidence } = config.translate.detection;
+  const lines = text.split(/\r?\n/);
+  let keeps = false;
+
+  const sources = detection.lines.map(({ language, confidence }, index) => {
+    if (!/\p{L}/u.test(lines[index])) return null;
+    if (!language || confidence < lineConfidence) return 'auto';
+    if (language === targetCode) {
+      keeps = true;
+      return null;
+    }
+    return language;
+  });
+
+  const distinct = new Set(sources.filter(Boolean));
+  return keeps || distinct.size > 1 ? sources : null;
+}
+
+// Pipeline response for one target language. Each line carries the
+// language detected for it; `sourceLanguage` is the user's choice ('auto'
+// unless overridden).
+function buildResult(lyrics, translation, { detection, source }) {
+  const lines = attachTimings(translation.lines, lyrics.timedLines)
+    .map((line, index) => ({ ...line, language: detection.lines[index]?.language ?? null }));
+
+  return {
+    ...lyrics,
+    translatedText: translation.translatedText,
+    lines,
+    detection: {
+      language: detection.language,
+      confidence: detection.confidence,
+      mixed: detection.mixed,
+      languages: detection.languages
+    },
+    sourceLanguage: source,
+    detectedLanguage: translation.detectedLanguage,
+    targetLanguage: translation.targetLanguage,
+    provider: translation.provider,
+    revision: translation.revision || null,
+    glossaryApplied: Boolean(translation.glossaryApplied),
+    lyricsHash: translation.lyricsHash,
+    cached: translation.cached,
+    expiresAt: translation.expiresAt
+  };
+}
+
+// Extract, detect the language, translate and transliterate (romanize) in
+// a single request. Code-switched lyrics are translated per language
+// segment, and lines already in the target language are left as they are.
+// `refresh` skips cached results; `manual` ({ lyrics, title, artist,
+// timedLines }) replaces extraction. An explicit `source` overrides
+// detection and bypasses cached translations, which may have been made
+// from a wrongly detected language.
+// `onEvent(type, data)` streams progress: 'lyrics' once the lyrics and
+// their language are known, then 'lines' ({ target, lines, completed,
+// total }) as translated lines come in. Aborting `signal` cancels the job.
+// `glossary` entries ({ term, translation, source, target }) that match the
+// language pair are kept out of the providers' hands.
+// With `targets` the lyrics are extracted once and translated into every
+// language; the response then carries a per-language `results` map in
+// place of a single translation.
+async function runLyricsTranslate(
+  {
+    url,
+    target,
+    targets = null,
+    source = 'auto',
+    refresh = false,
+    manual = null,
+    glossary = [],
+    onEvent = () => {},
+    signal = null
+  },
+  steps = []
+) {
+  const codes = targets ? normalizeTargets(targets) : [normalizeTarget(target)];
+  const lyrics = manual
+    ? await runStep(steps, 'extract', () => getManualLyrics({ url, manual }))
+    : await runStep(steps, 'extract', () => getLyricsCached(extractVideoId(url), { refresh }));
+
+  const detection = await runStep(steps, 'detect', async () => detectLanguages(lyrics.lyrics));
+  const translateSource = resolveSource(source, detection);
+  const total = lyrics.lyrics.split(/\r?\n/).filter(line => line.trim()).length;
+
+  onEvent('lyrics', {
+    videoId: lyrics.videoId,
+    title: lyrics.title,
+    artist: lyrics.artist,
+    lyrics: lyrics.lyrics,
+    detection: { language: detection.language, confidence: detection.confidence },
+    totalLines: total
+  });
+
+  const translateTo = async (code) => {
+    const details = targets ? { target: code } : {};
+    // An explicit source means the user knows the song is in one language
+    const sources = source === 'auto' ? planSegments(lyrics.lyrics, detection, code) : null;
+    const terms = selectGlossaryTerms(glossary, {
+      source: source === 'auto' ? detection.language : getLanguageCode(source),
+      target: getLanguageCode(code)
+    });
+    let completed = 0;
+    const onLines = (lines) => {
+      completed += lines.length;
+      onEvent('lines', { target: getLanguageCode(code), lines, completed, total });
+    };
+    const translation = await runStep(
+      steps,
+      'translate',
+      () => translateLinesCached(lyrics, {
+        target: code,
+        source: translateSource,
+        sources,
+        refresh: refresh || source !== 'auto',
+        glossary: terms,
+        onLines,
+        signal
+      }),
+      details
+    );
+    const result = buildResult(lyrics, translation, { detection, source });
+
+    const { lines } = await runStep(
+      steps,
+      'transliterate',
+      async () => ({ lines: romanizeLines(result.lines) }),
+      details
+    );
+    return { ...result, lines };
+  };
+
+  if (targets) {
+    return { ...lyrics, results: await forEachTarget(codes, translateTo) };
+  }
+
+  return translateTo(codes[0]);
+}
+
+module.exports = { runLyricsTranslate };
@@ -0,0 +1,60 @@
+// backend/services/playlistService.js
+const config = require('../config');
+const { ApiError } = require('../utils/ApiError');
+
+// Video IDs of a YouTube playlist, in playlist order and at most `limit`,
+// read page by page from the YouTube Data API (playlistItems.list)
+async function getPlaylistVideoIds(playlistId, limit = config.batch.maxVideos) {
+  const { apiKey, apiURL, timeout } = config.youtube;
+
+  if (!apiKey) {
+    throw new ApiError(
+      'Playlist links need a YouTube API key on the server. Paste the video links instead',
+      'PLAYLIST_UNAVAILABLE',
+      501
+    );
+  }
+
+  const videoIds = [];
+  let pageToken = null;
+
+  do {
+    const url = new URL(`${apiURL}/playlistItems`);
+    url.searchParams.set('part', 'contentDetails');
+    url.searchParams.set('maxResults', '50');
+    url.searchParams.set('playlistId', playlistId);
+    url.searchParams.set('key', apiKey);
+    if (pageToken) url.searchParams.set('pageToken', pageToken);
+
+    let response;
+    try {
+      response = await fetch(url, { signal: AbortSignal.timeout(timeout) });
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        throw new ApiError('YouTube playlist lookup timed out', 'TIMEOUT', 504);
+      }
+      throw new ApiError('YouTube API unavailable', 'SERVICE_UNAVAILABLE', 502);
+    }
+
+    if (response.status === 404) {
+      throw new ApiError('Playlist not found. It may be private or removed', 'PLAYLIST_NOT_FOUND', 404);
+    }
+    if (response.status === 403) {
+      throw new ApiError('YouTube API quota exceeded or key rejected', 'QUOTA_EXCEEDED', 403);
+    }
+    if (!response.ok) {
+      throw new ApiError(`YouTube API error (HTTP ${response.status})`, 'PROVIDER_ERROR', 502);
+    }
+
+    const data = await response.json();
+    for (const item of data.items || []) {
+      const videoId = item.contentDetails?.videoId;
+      if (videoId && !videoIds.includes(videoId)) videoIds.push(videoId);
+    }
+    pageToken = data.nextPageToken || null;
+  } while (pageToken && videoIds.length < limit);
+
+  return videoIds.slice(0, limit);
+}
+
+module.exports = { getPlaylistVideoIds };
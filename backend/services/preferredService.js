@@ -0,0 +1,62 @@
+// backend/services/preferredService.js
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../config');
+const { ApiError } = require('../utils/ApiError');
+const { getLanguageCode } = require('../utils/languages');
+const { writeFileAtomic } = require('../utils/atomicWrite');
+
+// Preferred translations: lines picked from several providers in compare
+// mode and saved per video and language. Unlike cache entries they never
+// expire, but they only apply while the lyrics they were made for (the
+// lyrics hash) are unchanged.
+const dir = config.translate.preferredDir;
+
+const fileFor = (videoId, targetLanguage) => path.join(dir, `${videoId}.${targetLanguage}.json`);
+
+async function getPreferred(videoId, target, lyricsHash) {
+  let entry;
+  try {
+    entry = JSON.parse(await fs.readFile(fileFor(videoId, getLanguageCode(target)), 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`⚠️ Ignoring unreadable preferred translation for ${videoId}:`, error.message);
+    }
+    return null;
+  }
+
+  return entry.lyricsHash === lyricsHash ? entry : null;
+}
+
+// `lines` are [{ original, translated, provider }] in lyrics order and
+// `lyricsHash` is the hash the pipeline reported for those lyrics
+async function savePreferred({ videoId, target, lyricsHash, lines }) {
+  if (!Array.isArray(lines) || lines.length === 0) {
+    throw new ApiError('Lines are required', 'INVALID_REQUEST', 400);
+  }
+  if (typeof lyricsHash !== 'string' || !/^[0-9a-f]{16}$/.test(lyricsHash)) {
+    throw new ApiError('Invalid lyrics hash', 'INVALID_REQUEST', 400);
+  }
+
+  const cleanLines = lines.map(line => ({
+    original: String(line.original ?? ''),
+    translated: String(line.translated ?? ''),
+    provider: line.provider ? String(line.provider) : null
+  }));
+  const targetLanguage = getLanguageCode(target);
+
+  const entry = {
+    videoId,
+    targetLanguage,
+    lyricsHash,
+    translatedText: cleanLines.map(line => line.translated).join('\n'),
+    lines: cleanLines,
+    savedAt: Date.now()
+  };
+
+  await writeFileAtomic(fileFor(videoId, targetLanguage), JSON.stringify(entry, null, 2));
+
+  return entry;
+}
+
+module.exports = { getPreferred, savePreferred };
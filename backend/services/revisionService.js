@@ -0,0 +1,185 @@
+// backend/services/revisionService.js
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../config');
+const { ApiError } = require('../utils/ApiError');
+const { getLanguageCode } = require('../utils/languages');
+const { writeFileAtomic } = require('../utils/atomicWrite');
+const { hashLyrics } = require('./cacheService');
+
+// Human post-edits, kept as numbered versions per video and language. Each
+// version stores the full lines, who saved it and when, and the lines that
+// changed against the version before it. Like preferred translations they
+// only apply while the lyrics they were made for (the lyrics hash) are
+// unchanged, and they never expire.
+const dir = config.translate.revisionsDir;
+
+const fileFor = (videoId, targetLanguage) => path.join(dir, `${videoId}.${targetLanguage}.json`);
+
+// Saves to one file run one after another so versions are never lost
+const queues = new Map();
+function serialize(key, operation) {
+  const previous = queues.get(key) || Promise.resolve();
+  const next = previous.catch(() => {}).then(operation);
+  queues.set(key, next);
+  next.finally(() => {
+    if (queues.get(key) === next) queues.delete(key);
+  }).catch(() => {});
+  return next;
+}
+
+// A missing file is an empty history. An unreadable one is an error, never
+// an empty history: the next save would overwrite every version in it.
+async function readHistory(videoId, targetLanguage) {
+  const file = fileFor(videoId, targetLanguage);
+  let text;
+  try {
+    text = await fs.readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return { videoId, targetLanguage, versions: [] };
+    throw error;
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    console.error(`❌ Unreadable revisions in ${file}:`, error.message);
+    throw new ApiError(
+      'The revision history of this song is damaged and cannot be changed',
+      'REVISIONS_UNREADABLE',
+      500
+    );
+  }
+}
+
+function writeHistory(history) {
+  return writeFileAtomic(fileFor(history.videoId, history.targetLanguage), JSON.stringify(history, null, 2));
+}
+
+const cleanLines = lines => lines.map(line => ({
+  original: String(line.original ?? ''),
+  translated: String(line.translated ?? '')
+}));
+
+// Lines whose translation differs from `before` ([{ index, before, after }])
+function diffLines(before, after) {
+  return after
+    .map((line, index) => ({
+      index,
+      before: before[index]?.translated ?? '',
+      after: line.translated
+    }))
+    .filter(change => change.before !== change.after);
+}
+
+function validateAuthor(author) {
+  const name = typeof author === 'string' ? author.trim() : '';
+  if (!name || name.length > 80) {
+    throw new ApiError('An author name (up to 80 characters) is required', 'INVALID_REQUEST', 400);
+  }
+  return name;
+}
+
+function validateLines(lines) {
+  if (!Array.isArray(lines) || lines.length === 0) {
+    throw new ApiError('Lines are required', 'INVALID_REQUEST', 400);
+  }
+  return cleanLines(lines);
+}
+
+// Whether the originals of `lines` are, line for line, the lyrics that
+// `lyricsHash` was made from
+function matchesLyrics(lines, lyricsHash) {
+  const originals = lines.map(line => line.original);
+  return [originals.join('\n'), originals.join('\r\n')].some(text => hashLyrics(text) === lyricsHash);
+}
+
+// Every version of the song's translation, oldest first
+async function listRevisions(videoId, target) {
+  const history = await readHistory(videoId, getLanguageCode(target));
+  return history.versions;
+}
+
+// The newest version made for these lyrics, or null. A damaged history
+// only costs the human edits here; the song is still translated.
+async function getLatestRevision(videoId, target, lyricsHash) {
+  let versions;
+  try {
+    versions = await listRevisions(videoId, target);
+  } catch (error) {
+    if (error.type !== 'REVISIONS_UNREADABLE') throw error;
+    return null;
+  }
+  return [...versions].reverse().find(version => version.lyricsHash === lyricsHash) || null;
+}
+
+async function appendVersion({ videoId, target, lyricsHash, lines, author, baseLines, revertedFrom }) {
+  const targetLanguage = getLanguageCode(target);
+
+  return serialize(`${videoId}.${targetLanguage}`, async () => {
+    const history = await readHistory(videoId, targetLanguage);
+    const previous = history.versions[history.versions.length - 1];
+    // The first version is compared with the machine translation it edits
+    const before = previous?.lyricsHash === lyricsHash ? previous.lines : baseLines;
+
+    const version = {
+      version: (previous?.version || 0) + 1,
+      author,
+      savedAt: Date.now(),
+      lyricsHash,
+      lines,
+      translatedText: lines.map(line => line.translated).join('\n'),
+      changes: diffLines(before || [], lines),
+      ...(revertedFrom && { revertedFrom })
+    };
+
+    history.versions.push(version);
+    await writeHistory(history);
+    return version;
+  });
+}
+
+// Save edited lines ([{ original, translated }]) as a new version. The
+// lines must be the whole lyrics `lyricsHash` names, in order: a version
+// is served ahead of every translation of those lyrics. `baseLines` are
+// the lines the edit started from, used for the diff when there is no
+// earlier version.
+async function saveRevision({ videoId, target, lyricsHash, lines, author, baseLines = [] }) {
+  if (typeof lyricsHash !== 'string' || !/^[0-9a-f]{16}$/.test(lyricsHash)) {
+    throw new ApiError('Invalid lyrics hash', 'INVALID_REQUEST', 400);
+  }
+
+  const edited = validateLines(lines);
+  if (!matchesLyrics(edited, lyricsHash)) {
+    throw new ApiError('The edited lines do not match the lyrics of this song', 'INVALID_REQUEST', 400);
+  }
+
+  return appendVersion({
+    videoId,
+    target,
+    lyricsHash,
+    lines: edited,
+    author: validateAuthor(author),
+    baseLines: Array.isArray(baseLines) ? cleanLines(baseLines) : []
+  });
+}
+
+// Restore an earlier version by saving a copy of it as the newest one
+async function revertRevision({ videoId, target, version, author }) {
+  const versions = await listRevisions(videoId, target);
+  const source = versions.find(item => item.version === Number(version));
+  if (!source) {
+    throw new ApiError(`Version ${version} not found`, 'NOT_FOUND', 404);
+  }
+
+  return appendVersion({
+    videoId,
+    target,
+    lyricsHash: source.lyricsHash,
+    lines: source.lines,
+    author: validateAuthor(author),
+    revertedFrom: source.version
+  });
+}
+
+module.exports = { listRevisions, getLatestRevision, saveRevision, revertRevision };
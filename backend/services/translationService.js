@@ -0,0 +1,380 @@
+// backend/services/translationService.js
+const config = require('../config');
+const { createProviderRegistry } = require('../providers');
+const { ApiError, serializeError } = require('../utils/ApiError');
+const { getLanguageCode, isLanguageCode } = require('../utils/languages');
+const { splitLinesIntoBatches } = require('../utils/lyricsLayout');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { selectGlossaryTerms, translateWithGlossary } = require('../utils/glossary');
+
+const registry = createProviderRegistry(config.translate);
+
+function validateTranslationRequest(text, target, maxLength = config.translate.maxTextLength) {
+  if (!text || typeof text !== 'string' || text.trim().length === 0) {
+    throw new ApiError('Text is required for translation', 'MISSING_TEXT', 400);
+  }
+
+  if (text.length > maxLength) {
+    throw new ApiError(
+      `Text too long. Maximum ${maxLength} characters allowed`,
+      'TEXT_TOO_LONG',
+      400
+    );
+  }
+
+  if (!target) {
+    throw new ApiError('Target language is required', 'MISSING_TARGET_LANGUAGE', 400);
+  }
+}
+
+// Providers that can take this target, in its configured fallback order,
+// optionally narrowed to the one named `pinned`
+function getProvidersFor(targetCode, pinned = null) {
+  const candidates = registry
+    .forLanguage(targetCode)
+    .filter(provider => !pinned || provider.name === pinned);
+
+  if (candidates.length === 0) {
+    throw new ApiError(
+      pinned
+        ? `Provider "${pinned}" is not configured for "${targetCode}"`
+        : `No translation provider supports "${targetCode}"`,
+      'UNSUPPORTED_LANGUAGE',
+      400
+    );
+  }
+  return candidates;
+}
+
+// Try each provider for the target language in order until one succeeds.
+// Providers with an open circuit, or whose size or rate limit the request
+// would break, are skipped without being called. `provider` pins the
+// request to that one provider (compare mode).
+async function translate({ text, target, source = 'auto', provider: pinned = null }) {
+  validateTranslationRequest(text, target);
+
+  const targetCode = getLanguageCode(target);
+  const sourceCode = source === 'auto' ? 'auto' : getLanguageCode(source) || 'auto';
+  const candidates = getProvidersFor(targetCode, pinned);
+  let lastError = null;
+
+  for (const provider of candidates) {
+    if (text.length > provider.maxTextLength) {
+      lastError = new ApiError(
+        `Text too long for ${provider.name}. Maximum ${provider.maxTextLength} characters allowed`,
+        'TEXT_TOO_LONG',
+        400
+      );
+      continue;
+    }
+
+    if (!provider.limiter.tryAcquire()) {
+      console.warn(`⚠️ ${provider.name} skipped: local rate limit reached`);
+      lastError = new ApiError(`${provider.name} rate limit reached`, 'RATE_LIMITED', 429);
+      continue;
+    }
+
+    // Checked last: in the half-open state this claims the single probe.
+    // A call the breaker turns away gives its rate-limit slot back.
+    if (!provider.breaker.canRequest()) {
+      provider.limiter.release();
+      lastError = new ApiError(
+        `${provider.name} is temporarily unavailable`,
+        'SERVICE_UNAVAILABLE',
+        503
+      );
+      continue;
+    }
+
+    try {
+      const result = await provider.translate(text, targetCode, sourceCode);
+      provider.breaker.recordSuccess();
+      return {
+        translatedText: result.translatedText,
+        detectedLanguage: result.detectedLanguage || sourceCode,
+        targetLanguage: targetCode,
+        provider: provider.name
+      };
+    } catch (error) {
+      console.warn(`⚠️ ${provider.name} translate failed:`, error.message);
+      provider.breaker.recordFailure(error);
+      lastError = error;
+    }
+  }
+
+  // A single provider's error is more useful than a generic one
+  if (candidates.length === 1 && lastError instanceof ApiError) {
+    throw lastError;
+  }
+
+  throw new ApiError(
+    'All translation services are currently unavailable',
+    'ALL_SERVICES_FAILED',
+    502
+  );
+}
+
+// Stop a long job once its client has gone away
+function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    throw new ApiError('Translation cancelled', 'CANCELLED', 499);
+  }
+}
+
+// Lyrics-aware translation: lines are sent in batches under the provider
+// size limit and the result keeps the original line and stanza layout.
+// `onLines([{ index, translated }])` reports each batch as it completes;
+// aborting `signal` stops before the next batch.
+async function translateLines({
+  text,
+  target,
+  source = 'auto',
+  provider: pinned = null,
+  onLines = null,
+  signal = null
+}) {
+  validateTranslationRequest(text, target, Infinity);
+
+  // Batches fit every provider in the chain so any of them can take over
+  const batchSize = Math.min(
+    config.translate.maxTextLength,
+    ...getProvidersFor(getLanguageCode(target), pinned).map(provider => provider.maxTextLength)
+  );
+  const originalLines = text.split(/\r?\n/);
+  const translatedLines = originalLines.map(() => '');
+  const batches = splitLinesIntoBatches(text, batchSize);
+  let detectedLanguage = source;
+  let provider = null;
+
+  for (const batch of batches) {
+    throwIfCancelled(signal);
+    const result = await translate({
+      text: batch.map(line => line.text).join('\n'),
+      target,
+      source,
+      provider: pinned
+    });
+    let outputLines = result.translatedText.split(/\r?\n/);
+    provider = result.provider;
+
+    // Providers occasionally merge or split lines; retranslate that batch
+    // line by line so the alignment stays exact
+    if (outputLines.length !== batch.length) {
+      outputLines = [];
+      for (const line of batch) {
+        throwIfCancelled(signal);
+        const lineResult = await translate({ text: line.text, target, source, provider: pinned });
+        outputLines.push(lineResult.translatedText.replace(/\s*\n\s*/g, ' '));
+      }
+    }
+
+    batch.forEach((line, i) => {
+      translatedLines[line.index] = outputLines[i].trim();
+    });
+    onLines?.(batch.map(line => ({ index: line.index, translated: translatedLines[line.index] })));
+
+    if (detectedLanguage === 'auto' && result.detectedLanguage) {
+      detectedLanguage = result.detectedLanguage;
+    }
+  }
+
+  return {
+    translatedText: translatedLines.join('\n'),
+    lines: originalLines.map((original, i) => ({ original, translated: translatedLines[i] })),
+    detectedLanguage,
+    targetLanguage: getLanguageCode(target),
+    provider,
+    batchCount: batches.length
+  };
+}
+
+// Code-switched lyrics: `sources` holds each line's source language, or
+// null for a line to keep verbatim (already in the target language, or
+// nothing to translate). Lines sharing a source are translated together,
+// each group with its own source language, and reassembled in order.
+// `onLines` and `signal` work as in translateLines.
+async function translateSegments({
+  text,
+  target,
+  sources,
+  provider: pinned = null,
+  onLines = null,
+  signal = null
+}) {
+  validateTranslationRequest(text, target, Infinity);
+
+  const originalLines = text.split(/\r?\n/);
+  const lines = originalLines.map(original => ({ original, translated: '', verbatim: false }));
+  const groups = new Map();
+
+  originalLines.forEach((line, index) => {
+    if (!line.trim()) return;
+
+    const source = sources[index] ?? null;
+    if (source === null) {
+      lines[index].translated = line;
+      lines[index].verbatim = true;
+      return;
+    }
+    if (!groups.has(source)) groups.set(source, []);
+    groups.get(source).push(index);
+  });
+
+  const kept = lines
+    .map((line, index) => ({ index, translated: line.translated }))
+    .filter(line => lines[line.index].verbatim);
+  if (kept.length > 0) onLines?.(kept);
+
+  let main = { source: 'auto', provider: 'verbatim', size: 0 };
+  let batchCount = 0;
+
+  for (const [source, indices] of groups) {
+    const result = await translateLines({
+      text: indices.map(index => originalLines[index]).join('\n'),
+      target,
+      source,
+      provider: pinned,
+      // Batch indices are within the group; report them as song lines
+      onLines: onLines && (batch => onLines(batch.map(line => ({ ...line, index: indices[line.index] })))),
+      signal
+    });
+
+    indices.forEach((index, i) => {
+      lines[index].translated = result.lines[i].translated;
+      lines[index].provider = result.provider;
+    });
+    batchCount += result.batchCount;
+
+    if (indices.length > main.size) {
+      main = { source: result.detectedLanguage, provider: result.provider, size: indices.length };
+    }
+  }
+
+  // The largest segment names the song's source language and provider
+  return {
+    translatedText: lines.map(line => line.translated).join('\n'),
+    lines,
+    detectedLanguage: main.source,
+    targetLanguage: getLanguageCode(target),
+    provider: main.provider,
+    batchCount,
+    segmentCount: groups.size
+  };
+}
+
+// Language code of a requested target. Checked before any work is done,
+// since the code becomes part of cache and revision file names.
+function normalizeTarget(target) {
+  const code = getLanguageCode(target);
+
+  if (!code) {
+    throw new ApiError('Target language is required', 'MISSING_TARGET_LANGUAGE', 400);
+  }
+  if (!isLanguageCode(code)) {
+    throw new ApiError('Invalid target language', 'INVALID_REQUEST', 400);
+  }
+  return code;
+}
+
+// Distinct language codes of a multi-target request
+function normalizeTargets(targets) {
+  if (!Array.isArray(targets) || targets.length === 0) {
+    throw new ApiError('At least one target language is required', 'MISSING_TARGET_LANGUAGE', 400);
+  }
+
+  const codes = [...new Set(targets.map(normalizeTarget))];
+
+  if (codes.length > config.translate.maxTargets) {
+    throw new ApiError(
+      `Too many target languages. Maximum ${config.translate.maxTargets} allowed`,
+      'TOO_MANY_TARGETS',
+      400
+    );
+  }
+
+  return codes;
+}
+
+// Any provider may be reached through fallback, so the strictest one sets
+// how many languages are translated at once
+function getConcurrencyLimit() {
+  return Math.min(
+    config.translate.concurrency,
+    ...registry.all.map(provider => provider.maxConcurrency)
+  );
+}
+
+// Map `keys` through `operation`, at most `limit` at a time. Each key
+// settles on its own into { success, data } or { success: false, error }
+// and the result is a map keyed by `keys`.
+async function settleEach(keys, limit, operation) {
+  const settled = await mapWithConcurrency(keys, limit, async (key) => {
+    try {
+      return { success: true, data: await operation(key) };
+    } catch (error) {
+      console.warn(`⚠️ ${key} failed:`, error.message);
+      return { success: false, error: serializeError(error) };
+    }
+  });
+
+  return Object.fromEntries(keys.map((key, i) => [key, settled[i]]));
+}
+
+// Run `operation(targetCode)` for every requested language, as a map of
+// independent per-language results
+async function forEachTarget(targets, operation) {
+  return settleEach(normalizeTargets(targets), getConcurrencyLimit(), operation);
+}
+
+// translate / translateLines for several target languages at once, each
+// with the `glossary` terms for its language pair
+async function translateMany({ text, targets, source = 'auto', mode, glossary = [] }) {
+  const translator = mode === 'lines' ? translateLines : translate;
+  validateTranslationRequest(text, targets, mode === 'lines' ? Infinity : undefined);
+
+  return forEachTarget(targets, target => translateWithGlossary(translator, {
+    text,
+    target,
+    source,
+    glossary: selectGlossaryTerms(glossary, { source: source === 'auto' ? null : getLanguageCode(source), target })
+  }));
+}
+
+// Compare mode: the same lyrics through every provider that supports the
+// target, each pinned to itself. Returns a map keyed by provider name.
+async function compareProviders({ text, target, source = 'auto' }) {
+  validateTranslationRequest(text, target, Infinity);
+
+  const names = getProvidersFor(getLanguageCode(target)).map(provider => provider.name);
+  return settleEach(names, names.length, provider =>
+    translateLines({ text, target, source, provider })
+  );
+}
+
+// Capabilities and circuit state of every provider, for /api/providers/health
+function getProviderHealth() {
+  return registry.all.map(provider => ({
+    name: provider.name,
+    languages: provider.languages,
+    maxTextLength: Number.isFinite(provider.maxTextLength) ? provider.maxTextLength : null,
+    rateLimit: provider.rateLimit || null,
+    ...provider.breaker.snapshot()
+  }));
+}
+
+function getProviderNames() {
+  return registry.all.map(provider => provider.name);
+}
+
+module.exports = {
+  translate,
+  translateLines,
+  translateSegments,
+  translateMany,
+  compareProviders,
+  forEachTarget,
+  normalizeTarget,
+  normalizeTargets,
+  getProviderNames,
+  getProviderHealth
+};
@@ -0,0 +1,46 @@
+// backend/sources/captionSource.js
+const fs = require('fs/promises');
+const path = require('path');
+const { parseCaptions, cuesToTimedLines } = require('../utils/captions');
+
+const CAPTION_FORMATS = ['vtt', 'srt', 'lrc'];
+
+// Caption track files downloaded ahead of time: <captionsDir>/<videoId>.{vtt,srt,lrc}
+// An optional <videoId>.json next to the track supplies title and artist.
+function createCaptionSource({ captionsDir }) {
+  const readIfExists = async (file) => {
+    try {
+      return await fs.readFile(path.join(captionsDir, file), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  return {
+    name: 'captions',
+
+    async fetch(videoId) {
+      for (const format of CAPTION_FORMATS) {
+        const content = await readIfExists(`${videoId}.${format}`);
+        if (content === null) continue;
+
+        const timedLines = cuesToTimedLines(parseCaptions(content, format));
+        const meta = JSON.parse((await readIfExists(`${videoId}.json`)) || '{}');
+        const lastLine = timedLines[timedLines.length - 1];
+
+        return {
+          lyrics: timedLines.map(line => line.text).join('\n'),
+          timedLines,
+          title: meta.title,
+          artist: meta.artist,
+          duration: meta.duration || lastLine?.end || lastLine?.start
+        };
+      }
+
+      return null;
+    }
+  };
+}
+
+module.exports = { createCaptionSource };
@@ -0,0 +1,32 @@
+// backend/sources/fixtureSource.js
+const fs = require('fs/promises');
+const path = require('path');
+
+// Local JSON store for offline testing: <fixturesDir>/<videoId>.json
+// holding { title, artist, duration, lyrics, timedLines? }
+function createFixtureSource({ fixturesDir }) {
+  return {
+    name: 'fixtures',
+
+    async fetch(videoId) {
+      let raw;
+      try {
+        raw = await fs.readFile(path.join(fixturesDir, `${videoId}.json`), 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+
+      const fixture = JSON.parse(raw);
+      return {
+        lyrics: Array.isArray(fixture.lyrics) ? fixture.lyrics.join('\n') : fixture.lyrics || '',
+        timedLines: fixture.timedLines,
+        title: fixture.title,
+        artist: fixture.artist,
+        duration: fixture.duration
+      };
+    }
+  };
+}
+
+module.exports = { createFixtureSource };
@@ -0,0 +1,25 @@
+// backend/sources/index.js
+const { createFixtureSource } = require('./fixtureSource');
+const { createCaptionSource } = require('./captionSource');
+const { createProviderSource } = require('./providerSource');
+const { createManualSource } = require('./manualSource');
+
+const SOURCE_FACTORIES = {
+  manual: createManualSource,
+  fixtures: createFixtureSource,
+  captions: createCaptionSource,
+  provider: createProviderSource
+};
+
+// Build the configured lyrics sources in lookup order
+function createLyricsSources(options) {
+  return options.sources.map((name) => {
+    const factory = SOURCE_FACTORIES[name];
+    if (!factory) {
+      throw new Error(`Unknown lyrics source "${name}"`);
+    }
+    return factory(options);
+  });
+}
+
+module.exports = { createLyricsSources };
@@ -0,0 +1,23 @@
+// backend/sources/manualSource.js
+const fs = require('fs/promises');
+const path = require('path');
+const { createFixtureSource } = require('./fixtureSource');
+
+// Lyrics pasted by users for videos where extraction found nothing.
+// Stored in the same format as fixtures: <manualDir>/<videoId>.json
+function createManualSource({ manualDir }) {
+  return {
+    ...createFixtureSource({ fixturesDir: manualDir }),
+    name: 'manual'
+  };
+}
+
+async function saveManualLyrics(manualDir, videoId, { lyrics, title, artist, duration, timedLines }) {
+  await fs.mkdir(manualDir, { recursive: true });
+  await fs.writeFile(
+    path.join(manualDir, `${videoId}.json`),
+    JSON.stringify({ title, artist, duration, lyrics, timedLines }, null, 2)
+  );
+}
+
+module.exports = { createManualSource, saveManualLyrics };
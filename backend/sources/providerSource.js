@@ -0,0 +1,52 @@
+// backend/sources/providerSource.js
+const { ApiError } = require('../utils/ApiError');
+
+// Adapter for an external lyrics provider. The provider is expected to answer
+// GET <providerURL>?videoId=<id> with { lyrics, title, artist, duration,
+// timedLines? } and 404 when it does not know the video.
+function createProviderSource({ providerURL, providerKey, timeout }) {
+  return {
+    name: 'provider',
+
+    async fetch(videoId) {
+      if (!providerURL) return null;
+
+      const url = new URL(providerURL);
+      url.searchParams.set('videoId', videoId);
+
+      let response;
+      try {
+        response = await fetch(url, {
+          headers: providerKey ? { Authorization: `Bearer ${providerKey}` } : {},
+          signal: AbortSignal.timeout(timeout)
+        });
+      } catch (error) {
+        if (error.name === 'TimeoutError') {
+          throw new ApiError('Lyrics provider timed out', 'TIMEOUT', 504);
+        }
+        throw new ApiError('Lyrics provider unavailable', 'SERVICE_UNAVAILABLE', 502);
+      }
+
+      if (response.status === 404) return null;
+
+      if (response.status === 429) {
+        throw new ApiError('Lyrics provider rate limit exceeded', 'RATE_LIMITED', 429);
+      }
+
+      if (!response.ok) {
+        throw new ApiError(`Lyrics provider error (HTTP ${response.status})`, 'PROVIDER_ERROR', 502);
+      }
+
+      const data = await response.json();
+      return {
+        lyrics: data.lyrics || '',
+        timedLines: data.timedLines,
+        title: data.title,
+        artist: data.artist,
+        duration: data.duration
+      };
+    }
+  };
+}
+
+module.exports = { createProviderSource };
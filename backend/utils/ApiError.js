@@ -0,0 +1,44 @@
+// backend/utils/ApiError.js
+
+// Mirrors LyricsApiError / TranslationError on the client so the `type`
+// values can be passed straight through to the UI.
+class ApiError extends Error {
+  constructor(message, type, statusCode = 500) {
+    super(message);
+    this.name = 'ApiError';
+    this.type = type;
+    this.statusCode = statusCode;
+  }
+}
+
+// The `error` object of a failed response. Unexpected errors are logged and
+// reported as a generic SERVER_ERROR.
+function serializeError(error) {
+  const stage = error?.stage;
+
+  if (!(error instanceof ApiError)) {
+    console.error('❌ Unexpected error:', error);
+    error = new ApiError('Internal server error', 'SERVER_ERROR', 500);
+  }
+
+  return {
+    message: error.message,
+    type: error.type,
+    statusCode: error.statusCode,
+    ...(stage && { stage })
+  };
+}
+
+// Send an error in the `{ success: false, error }` shape the client expects.
+// `extra` is merged into the top level of the body (e.g. pipeline steps).
+function sendError(res, error, extra = {}) {
+  const body = serializeError(error);
+
+  res.status(body.statusCode).json({
+    success: false,
+    error: body,
+    ...extra
+  });
+}
+
+module.exports = { ApiError, sendError, serializeError };
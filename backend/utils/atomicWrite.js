@@ -0,0 +1,23 @@
+// backend/utils/atomicWrite.js
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+// Write `content` to `file` through a temporary file and a rename, so
+// readers never see a half-written file. Every write gets its own temporary
+// file: concurrent writes to one file each publish a whole version and the
+// last rename wins.
+async function writeFileAtomic(file, content) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tempFile = `${file}.${process.pid}.${crypto.randomUUID()}.tmp`;
+
+  try {
+    await fs.writeFile(tempFile, content);
+    await fs.rename(tempFile, file);
+  } catch (error) {
+    await fs.rm(tempFile, { force: true });
+    throw error;
+  }
+}
+
+module.exports = { writeFileAtomic };
@@ -0,0 +1,104 @@
+// backend/utils/captions.js
+
+// "00:01:02.500", "01:02,500" or "01:02.50" -> seconds
+function parseTimestamp(value) {
+  const parts = value.trim().replace(',', '.').split(':');
+  let seconds = 0;
+
+  for (const part of parts) {
+    seconds = seconds * 60 + parseFloat(part);
+  }
+
+  return Math.round(seconds * 1000) / 1000;
+}
+
+function cleanCueText(text) {
+  return text
+    .replace(/<[^>]+>/g, '')       // <c>, <i>, <00:00:01.000> karaoke tags
+    .replace(/\{\\[^}]*\}/g, '')   // SSA-style override tags
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&#39;/g, "'")
+    .replace(/&quot;/g, '"')
+    .trim();
+}
+
+// Parse WebVTT or SRT into [{ start, end, text }]
+function parseCues(content) {
+  const cues = [];
+  const blocks = content.replace(/\r\n?/g, '\n').split(/\n{2,}/);
+
+  for (const block of blocks) {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) continue;
+
+    const [startRaw, endRaw] = lines[timingIndex].split('-->');
+    const text = cleanCueText(lines.slice(timingIndex + 1).join('\n'));
+    if (!text) continue;
+
+    cues.push({
+      start: parseTimestamp(startRaw),
+      end: parseTimestamp(endRaw.trim().split(/\s+/)[0]),
+      text
+    });
+  }
+
+  return cues;
+}
+
+// Parse LRC ("[mm:ss.xx] line") into [{ start, end, text }]
+function parseLrc(content) {
+  const cues = [];
+
+  for (const line of content.replace(/\r\n?/g, '\n').split('\n')) {
+    const stamps = [...line.matchAll(/\[(\d+:\d+(?:[.:]\d+)?)\]/g)];
+    if (stamps.length === 0) continue;
+
+    const text = line.replace(/\[[^\]]*\]/g, '').trim();
+    for (const [, stamp] of stamps) {
+      // Some editors write [mm:ss:xx] instead of [mm:ss.xx]
+      const normalized = stamp.split(':').length === 3 ? stamp.replace(/:(\d+)$/, '.$1') : stamp;
+      cues.push({ start: parseTimestamp(normalized), end: null, text });
+    }
+  }
+
+  cues.sort((a, b) => a.start - b.start);
+
+  // LRC only has start times, so each line ends where the next begins
+  cues.forEach((cue, index) => {
+    cue.end = index < cues.length - 1 ? cues[index + 1].start : null;
+  });
+
+  return cues;
+}
+
+function parseCaptions(content, format) {
+  return format === 'lrc' ? parseLrc(content) : parseCues(content);
+}
+
+// One entry per lyric line. Multi-line cues are split, and because
+// auto-generated captions repeat rolling lines, consecutive duplicates are
+// merged into a single line that spans both cues.
+function cuesToTimedLines(cues) {
+  const lines = [];
+
+  for (const cue of cues) {
+    for (const text of cue.text.split('\n')) {
+      if (!text) continue;
+
+      const previous = lines[lines.length - 1];
+      if (previous && previous.text === text) {
+        previous.end = cue.end ?? previous.end;
+        continue;
+      }
+
+      lines.push({ start: cue.start, end: cue.end, text });
+    }
+  }
+
+  return lines;
+}
+
+module.exports = { parseCaptions, cuesToTimedLines, parseTimestamp };
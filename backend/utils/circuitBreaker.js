@@ -0,0 +1,64 @@
+// backend/utils/circuitBreaker.js
+
+// Per-provider circuit breaker. After `failureThreshold` consecutive
+// failures the circuit opens and calls are refused; once `cooldownMs` has
+// passed a single probe call is let through (half-open). The probe's
+// success closes the circuit, its failure opens it again.
+function createCircuitBreaker({ failureThreshold = 3, cooldownMs = 30 * 1000 } = {}) {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = null;
+  let probing = false;
+  let lastError = null;
+  let lastFailureAt = null;
+  let lastSuccessAt = null;
+
+  return {
+    canRequest(now = Date.now()) {
+      if (state === 'open' && now - openedAt >= cooldownMs) {
+        state = 'half-open';
+        probing = false;
+      }
+      if (state === 'closed') return true;
+      if (state === 'half-open' && !probing) {
+        probing = true;
+        return true;
+      }
+      return false;
+    },
+
+    recordSuccess(now = Date.now()) {
+      state = 'closed';
+      failures = 0;
+      openedAt = null;
+      probing = false;
+      lastSuccessAt = now;
+    },
+
+    recordFailure(error, now = Date.now()) {
+      failures += 1;
+      lastError = error?.message || String(error);
+      lastFailureAt = now;
+
+      if (state === 'half-open' || failures >= failureThreshold) {
+        state = 'open';
+        openedAt = now;
+        probing = false;
+      }
+    },
+
+    snapshot() {
+      return {
+        state,
+        failures,
+        openedAt,
+        retryAt: state === 'open' ? openedAt + cooldownMs : null,
+        lastError,
+        lastFailureAt,
+        lastSuccessAt
+      };
+    }
+  };
+}
+
+module.exports = { createCircuitBreaker };
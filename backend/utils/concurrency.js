@@ -0,0 +1,21 @@
+// backend/utils/concurrency.js
+
+// Map `items` through an async `worker`, running at most `limit` at once.
+// Results keep the input order; the first rejection rejects the whole call.
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function runWorker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+  return results;
+}
+
+module.exports = { mapWithConcurrency };
@@ -0,0 +1,31 @@
+// backend/utils/eventStream.js
+
+// Turn an Express response into a Server-Sent Events stream.
+// send('lines', {...}) writes one `event:` / `data:` frame; `signal` is
+// aborted when the client goes away so long jobs can stop early.
+function openEventStream(res) {
+  const controller = new AbortController();
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  return {
+    signal: controller.signal,
+    send(event, data) {
+      if (res.writableEnded || controller.signal.aborted) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      if (!res.writableEnded) res.end();
+    }
+  };
+}
+
+module.exports = { openEventStream };
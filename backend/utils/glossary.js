@@ -0,0 +1,99 @@
+// backend/utils/glossary.js
+
+// Glossary entries are { term, translation, source, target }: `translation`
+// forces how a term is rendered, and an empty translation protects the term
+// (it is kept as written). `source` / `target` null means any language.
+// Terms are swapped for placeholders before a provider sees the text and
+// restored afterwards. This is the only place glossaries are applied; the
+// client sends its entries along with the text.
+const PLACEHOLDER = index => `__GLS${index}__`;
+// Providers sometimes add spaces inside the placeholder or change its case
+const PLACEHOLDER_PATTERN = /_\s*_\s*GLS\s*(\d+)\s*_\s*_/gi;
+// Word characters for whole-word matching. Marks count too: Sinhala and
+// Tamil vowel signs are part of the word they follow.
+const WORD = '[\\p{L}\\p{M}\\p{N}]';
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Entries that apply to this language pair; an unknown (null) source
+// matches every entry
+function selectGlossaryTerms(entries, { source, target }) {
+  return (entries || []).filter(entry =>
+    typeof entry?.term === 'string'
+    && entry.term.trim()
+    && (!entry.target || entry.target === target)
+    && (!entry.source || !source || entry.source === source)
+  );
+}
+
+// Whole-word, case-insensitive matcher for the terms, longest first
+function termPattern(entries) {
+  const terms = [...entries].sort((a, b) => b.term.trim().length - a.term.trim().length);
+  return new RegExp(
+    `(?<!${WORD})(${terms.map(entry => escapeRegExp(entry.term.trim())).join('|')})(?!${WORD})`,
+    'giu'
+  );
+}
+
+// The entries whose term occurs in `text`
+function findGlossaryTerms(text, entries) {
+  if (!entries || entries.length === 0) return [];
+
+  const found = new Set((text.match(termPattern(entries)) || []).map(match => match.toLowerCase()));
+  return entries.filter(entry => found.has(entry.term.trim().toLowerCase()));
+}
+
+// { text, restore(translated) } with every whole-word occurrence of a term
+// replaced by a placeholder
+function maskGlossaryTerms(text, entries) {
+  const replacements = [];
+  // Anything but text is left for the translator to reject
+  if (!entries || entries.length === 0 || typeof text !== 'string') {
+    return { text, restore: translated => translated };
+  }
+
+  const byTerm = new Map(entries.map(entry => [entry.term.trim().toLowerCase(), entry]));
+
+  const masked = text.replace(termPattern(entries), (match) => {
+    const entry = byTerm.get(match.toLowerCase());
+    const translation = typeof entry.translation === 'string' ? entry.translation.trim() : '';
+    replacements.push(translation || match);
+    return PLACEHOLDER(replacements.length - 1);
+  });
+
+  return {
+    text: masked,
+    restore: translated => translated.replace(
+      PLACEHOLDER_PATTERN,
+      (placeholder, index) => replacements[Number(index)] ?? placeholder
+    )
+  };
+}
+
+// Run `translator` (translate, translateLines or translateSegments) on
+// `options.text` with the `glossary` terms masked. They are restored in the
+// translated text, in every line and in the lines passed to `onLines`.
+// `glossaryApplied` tells whether any term was found.
+async function translateWithGlossary(translator, { text, glossary = [], onLines = null, ...options }) {
+  const masked = maskGlossaryTerms(text, glossary);
+  const restoreLines = lines => lines.map(line => ({ ...line, translated: masked.restore(line.translated) }));
+
+  const translation = await translator({
+    ...options,
+    text: masked.text,
+    onLines: onLines && (lines => onLines(restoreLines(lines)))
+  });
+  if (masked.text === text) return { ...translation, glossaryApplied: false };
+
+  const originals = text.split(/\r?\n/);
+  return {
+    ...translation,
+    translatedText: masked.restore(translation.translatedText),
+    ...(translation.lines && {
+      lines: restoreLines(translation.lines).map((line, i) => ({ ...line, original: originals[i] }))
+    }),
+    glossaryApplied: true
+  };
+}
+
+module.exports = { selectGlossaryTerms, findGlossaryTerms, maskGlossaryTerms, translateWithGlossary };
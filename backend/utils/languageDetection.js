@@ -0,0 +1,153 @@
+// backend/utils/languageDetection.js
+
+// Local language detection for lyrics. Most of our languages have their own
+// script, so counting letters per script decides them outright; Latin-script
+// languages are told apart by their most common words. Confidence runs from
+// 0 to 1.
+const SCRIPTS = [
+  { language: 'si', from: 0x0D80, to: 0x0DFF, certainty: 1 },
+  { language: 'ta', from: 0x0B80, to: 0x0BFF, certainty: 1 },
+  // Marathi and Nepali share Devanagari
+  { language: 'hi', from: 0x0900, to: 0x097F, certainty: 0.9 },
+  { language: 'bn', from: 0x0980, to: 0x09FF, certainty: 0.95 },
+  { language: 'th', from: 0x0E00, to: 0x0E7F, certainty: 1 },
+  { language: 'ko', from: 0xAC00, to: 0xD7A3, certainty: 1 },
+  { language: 'ko', from: 0x1100, to: 0x11FF, certainty: 1 },
+  { language: 'ja', from: 0x3040, to: 0x30FF, certainty: 1 },
+  // Han alone is Chinese unless kana shows up elsewhere in the text
+  { language: 'zh', from: 0x4E00, to: 0x9FFF, certainty: 0.85 },
+  // Arabic script; Urdu is picked out by its extra letters below
+  { language: 'ar', from: 0x0600, to: 0x06FF, certainty: 0.85 },
+  { language: 'ru', from: 0x0400, to: 0x04FF, certainty: 0.85 }
+];
+
+const URDU_LETTERS = /[ٹڈڑںےھہگکپچژ]/;
+const VIETNAMESE_LETTERS = /[ăâđêôơưạảấầẩẫậắằẳẵặẹẻẽếềểễệỉịọỏốồổỗộớờởỡợụủứừửữựỳỵỷỹ]/i;
+
+// Frequent words, enough to separate languages in a few lines of lyrics
+const COMMON_WORDS = {
+  en: 'the and you i to a of in is it my me your that love on for be with we are this not all oh',
+  es: 'el la de que y en los se mi tu no un una por con me te amor es las yo corazón',
+  fr: "le la les de et je tu un une est que qui pas mon ma dans pour moi toi amour des c'est",
+  de: 'der die das und ich du nicht ist ein eine mein dich mich mit zu es wir auf liebe sie',
+  it: 'il la di che e io tu non un una per mi ti sono amore con del è lo ma',
+  pt: 'o a de que e eu você não um uma meu minha com para te amor é do da se',
+  id: 'aku kamu yang dan di ini itu tidak dengan cinta untuk ke dia kita akan sudah ada engkau',
+  ms: 'aku kau yang dan di ini itu tidak dengan cinta untuk ke dia kita akan sudah ada sayang hati'
+};
+const WORD_SETS = Object.fromEntries(
+  Object.entries(COMMON_WORDS).map(([language, words]) => [language, new Set(words.split(' '))])
+);
+
+function scriptOf(ch) {
+  const code = ch.codePointAt(0);
+  const script = SCRIPTS.find(entry => code >= entry.from && code <= entry.to);
+  if (script) return script;
+  return /\p{Script=Latin}/u.test(ch) ? 'latin' : null;
+}
+
+// Latin text: the language whose common words cover the most tokens. Few
+// matches or a close runner-up lower the confidence. How many matches count
+// as enough grows with the text: half the words of a short line, at most 5.
+function detectLatin(text) {
+  if (VIETNAMESE_LETTERS.test(text)) {
+    return { language: 'vi', confidence: 0.9 };
+  }
+
+  const tokens = text.toLowerCase().match(/[\p{L}']+/gu) || [];
+  const scores = Object.entries(WORD_SETS)
+    .map(([language, words]) => [language, tokens.filter(token => words.has(token)).length])
+    .sort((a, b) => b[1] - a[1]);
+
+  const [[language, top], [, second]] = scores;
+  if (top === 0) return { language: null, confidence: 0 };
+
+  const margin = (top - second) / top;
+  const needed = Math.min(5, Math.max(2, tokens.length / 2));
+  const evidence = Math.min(1, top / needed);
+  return { language, confidence: round(Math.max(0.1, margin * evidence)) };
+}
+
+const round = value => Math.round(value * 100) / 100;
+
+// { language, confidence, letters } for one piece of text; language is null
+// when nothing recognisable is in it
+function detectText(text) {
+  const counts = new Map();
+  let letters = 0;
+  let hasKana = false;
+
+  for (const ch of text) {
+    const script = scriptOf(ch);
+    if (!script) continue;
+
+    letters += 1;
+    counts.set(script, (counts.get(script) || 0) + 1);
+    if (script !== 'latin' && script.language === 'ja') hasKana = true;
+  }
+
+  if (letters === 0) return { language: null, confidence: 0, letters };
+
+  const [dominant, count] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+  const share = count / letters;
+
+  if (dominant === 'latin') {
+    const latin = detectLatin(text);
+    return { ...latin, confidence: round(latin.confidence * share), letters };
+  }
+
+  let language = dominant.language;
+  let certainty = dominant.certainty;
+  if (language === 'zh' && hasKana) {
+    language = 'ja';
+    certainty = 1;
+  } else if (language === 'ar' && URDU_LETTERS.test(text)) {
+    language = 'ur';
+  }
+
+  return { language, confidence: round(share * certainty), letters };
+}
+
+// Detect every line on its own (songs often switch languages) and the song
+// as a whole. The overall language is the one with the most letters;
+// `languages` lists each language's share and `mixed` is set when a second
+// language holds at least a fifth of the letters.
+function detectLanguages(text) {
+  const lines = text.split(/\r?\n/).map(line =>
+    line.trim() ? detectText(line) : { language: null, confidence: 0, letters: 0 }
+  );
+
+  const totals = new Map();
+  let letters = 0;
+  lines.forEach((line) => {
+    if (!line.language) return;
+    letters += line.letters;
+    totals.set(line.language, (totals.get(line.language) || 0) + line.letters);
+  });
+
+  const languages = [...totals.entries()]
+    .map(([language, count]) => ({ language, share: round(count / letters) }))
+    .sort((a, b) => b.share - a.share);
+
+  const main = languages[0]?.language || null;
+  const mainLines = lines.filter(line => line.language === main);
+  const confidence = main
+    ? round(
+      (mainLines.reduce((sum, line) => sum + line.confidence * line.letters, 0) / totals.get(main))
+        * languages[0].share
+    )
+    : 0;
+
+  return {
+    language: main,
+    confidence,
+    mixed: languages.filter(entry => entry.share >= 0.2).length > 1,
+    languages,
+    lines: lines.map(({ language, confidence: lineConfidence }) => ({
+      language,
+      confidence: lineConfidence
+    }))
+  };
+}
+
+module.exports = { detectLanguages, detectText };
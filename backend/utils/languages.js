@@ -0,0 +1,43 @@
+// backend/utils/languages.js
+
+// Same names the client's getLanguageCode accepts
+const LANGUAGE_NAMES = {
+  sinhala: 'si',
+  tamil: 'ta',
+  english: 'en',
+  hindi: 'hi',
+  spanish: 'es',
+  french: 'fr',
+  german: 'de',
+  italian: 'it',
+  portuguese: 'pt',
+  russian: 'ru',
+  japanese: 'ja',
+  korean: 'ko',
+  chinese: 'zh',
+  arabic: 'ar',
+  bengali: 'bn',
+  urdu: 'ur',
+  thai: 'th',
+  vietnamese: 'vi',
+  indonesian: 'id',
+  malay: 'ms'
+};
+
+function getLanguageCode(language) {
+  if (!language) return null;
+  const key = String(language).trim().toLowerCase();
+  return LANGUAGE_NAMES[key] || key;
+}
+
+// Language codes name cache, preferred and revision files, so only codes
+// shaped like 'si', 'fil' or 'zh-TW' are accepted
+const isLanguageCode = code => typeof code === 'string' && /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(code);
+
+// English name of a language code, or the code itself when unknown
+function getLanguageName(code) {
+  const name = Object.keys(LANGUAGE_NAMES).find(key => LANGUAGE_NAMES[key] === code);
+  return name ? name[0].toUpperCase() + name.slice(1) : code;
+}
+
+module.exports = { getLanguageCode, getLanguageName, isLanguageCode };
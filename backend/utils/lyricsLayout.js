@@ -0,0 +1,50 @@
+// backend/utils/lyricsLayout.js
+
+// Group the non-empty lines of a song into batches of whole lines, each at
+// most maxBatchSize characters once joined with newlines. Every entry keeps
+// its index in the original text so the layout can be rebuilt.
+function splitLinesIntoBatches(text, maxBatchSize) {
+  const batches = [];
+  let current = [];
+  let currentSize = 0;
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) return;
+
+    const size = line.length + 1;
+    if (current.length > 0 && currentSize + size > maxBatchSize) {
+      batches.push(current);
+      current = [];
+      currentSize = 0;
+    }
+
+    current.push({ index, text: line.trim() });
+    currentSize += size;
+  });
+
+  if (current.length > 0) {
+    batches.push(current);
+  }
+
+  return batches;
+}
+
+// Copy start/end times from timed lines ([{ start, end, text }], one per
+// non-empty lyric line) onto translated line pairs. Lines are left untimed
+// when the counts disagree, since a shifted timing is worse than none.
+function attachTimings(lines, timedLines) {
+  if (!timedLines) return lines;
+
+  const lyricLines = lines.filter(line => line.original.trim());
+  if (lyricLines.length !== timedLines.length) return lines;
+
+  let next = 0;
+  return lines.map((line) => {
+    if (!line.original.trim()) return line;
+
+    const { start, end } = timedLines[next++];
+    return { ...line, start, end };
+  });
+}
+
+module.exports = { splitLinesIntoBatches, attachTimings };
@@ -0,0 +1,29 @@
+// backend/utils/rateLimiter.js
+
+// Sliding-window limiter: at most `requests` calls per `intervalMs`.
+// tryAcquire() records a call and returns true, or returns false when the
+// window is full; release() takes back the latest call when it was never
+// made. Without a limit every call is allowed.
+function createRateLimiter({ requests, intervalMs } = {}) {
+  const calls = [];
+
+  return {
+    tryAcquire(now = Date.now()) {
+      if (!requests || !intervalMs) return true;
+
+      while (calls.length > 0 && calls[0] <= now - intervalMs) {
+        calls.shift();
+      }
+      if (calls.length >= requests) return false;
+
+      calls.push(now);
+      return true;
+    },
+
+    release() {
+      calls.pop();
+    }
+  };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,28 @@
+// backend/utils/retry.js
+
+// Errors that another attempt cannot fix
+const FINAL_ERRORS = ['INVALID_URL', 'VIDEO_NOT_FOUND', 'NO_LYRICS_FOUND', 'CANCELLED'];
+
+// Same semantics as LyricsApi.withRetry on the client: up to `maxRetries`
+// attempts with exponential backoff from `delay` ms, giving up at once on
+// errors that would only repeat
+async function withRetry(operation, { maxRetries = 3, delay = 1000 } = {}) {
+  let lastError;
+
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      lastError = error;
+
+      if (FINAL_ERRORS.includes(error.type)) throw error;
+      if (attempt === maxRetries) break;
+
+      await new Promise(resolve => setTimeout(resolve, delay * Math.pow(2, attempt - 1)));
+    }
+  }
+
+  throw lastError;
+}
+
+module.exports = { withRetry };
@@ -0,0 +1,55 @@
+// backend/utils/scriptFonts.js
+
+// Fonts for the printed exports. The Noto fonts come from npm split into
+// one file per script, so text is cut into runs by script and each run is
+// set in the file that covers it. Scripts not listed here are set in the
+// Latin font and print as missing glyphs.
+const FONT_FILES = '@fontsource/{package}/files/{package}-{subset}-{weight}-normal.woff';
+
+const SCRIPT_FONTS = {
+  latin: { family: 'Noto Sans', package: 'noto-sans', subset: 'latin' },
+  devanagari: { family: 'Noto Sans', package: 'noto-sans', subset: 'devanagari', pattern: /\p{Script=Devanagari}/u },
+  sinhala: { family: 'Noto Sans Sinhala', package: 'noto-sans-sinhala', subset: 'sinhala', pattern: /\p{Script=Sinhala}/u },
+  tamil: { family: 'Noto Sans Tamil', package: 'noto-sans-tamil', subset: 'tamil', pattern: /\p{Script=Tamil}/u }
+};
+
+// Zero-width (non-)joiners and combining marks shape with the letter before
+// them, so they stay in its run
+const JOINING = /[\u200C\u200D]|\p{Mn}/u;
+
+function scriptOf(ch) {
+  return Object.keys(SCRIPT_FONTS).find(script => SCRIPT_FONTS[script].pattern?.test(ch)) || 'latin';
+}
+
+// 'මගේ Colombo' -> [{ script: 'sinhala', text: 'මගේ' }, { script: 'latin', text: ' Colombo' }]
+function splitScriptRuns(text) {
+  const runs = [];
+
+  for (const ch of text) {
+    const last = runs[runs.length - 1];
+    const script = last && JOINING.test(ch) ? last.script : scriptOf(ch);
+
+    if (last?.script === script) {
+      last.text += ch;
+    } else {
+      runs.push({ script, text: ch });
+    }
+  }
+  return runs;
+}
+
+// Path of the font file for `script` in 'regular' or 'bold'
+function fontFile(script, weight = 'regular') {
+  const font = SCRIPT_FONTS[script];
+  return require.resolve(
+    FONT_FILES
+      .replace(/\{package\}/g, font.package)
+      .replace('{subset}', font.subset)
+      .replace('{weight}', weight === 'bold' ? '700' : '400')
+  );
+}
+
+// Family name for word processors, which pick the installed font themselves
+const fontFamily = script => SCRIPT_FONTS[script].family;
+
+module.exports = { SCRIPT_FONTS, splitScriptRuns, fontFile, fontFamily };
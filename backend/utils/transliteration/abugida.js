@@ -0,0 +1,67 @@
+// backend/utils/transliteration/abugida.js
+
+// Romanizer for Brahmic scripts (Sinhala, Tamil, Devanagari). A consonant
+// carries an inherent "a" until a vowel sign replaces it or a virama
+// removes it. With `dropFinalInherent` (Hindi) the inherent vowel is not
+// written at the end of a word: कमल -> kamal.
+const JOINERS = new Set(['\u200C', '\u200D']);
+
+function createAbugidaRomanizer({
+  consonants,
+  vowels,
+  vowelSigns,
+  virama,
+  marks = {},
+  punctuation = {},
+  ignore = [],
+  digitZero = null,
+  dropFinalInherent = false
+}) {
+  const ignored = new Set([...JOINERS, ...ignore]);
+
+  return function romanize(text) {
+    let out = '';
+    let pending = false;
+
+    const finishSyllable = (atWordEnd) => {
+      if (pending && !(atWordEnd && dropFinalInherent)) out += 'a';
+      pending = false;
+    };
+
+    for (const ch of text.normalize('NFC')) {
+      if (ignored.has(ch)) continue;
+
+      if (consonants[ch] !== undefined) {
+        finishSyllable(false);
+        out += consonants[ch];
+        pending = true;
+      } else if (vowelSigns[ch] !== undefined) {
+        out += vowelSigns[ch];
+        pending = false;
+      } else if (ch === virama) {
+        pending = false;
+      } else if (marks[ch] !== undefined) {
+        finishSyllable(false);
+        out += marks[ch];
+      } else if (vowels[ch] !== undefined) {
+        finishSyllable(false);
+        out += vowels[ch];
+      } else {
+        finishSyllable(true);
+        const code = ch.codePointAt(0);
+        if (punctuation[ch] !== undefined) {
+          out += punctuation[ch];
+        } else if (digitZero !== null && code >= digitZero && code <= digitZero + 9) {
+          out += String(code - digitZero);
+        } else {
+          out += ch;
+        }
+      }
+    }
+
+    finishSyllable(true);
+    return out;
+  };
+}
+
+module.exports = { createAbugidaRomanizer };
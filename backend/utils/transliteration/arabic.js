@@ -0,0 +1,72 @@
+// backend/utils/transliteration/arabic.js
+
+// Approximate Arabic (and Urdu letter) romanization. Short vowels are only
+// written when the text carries harakat; و and ي read as w / y at the start
+// of a word or when they carry a vowel, and as long vowels otherwise.
+const LETTERS = {
+  'ء': "'", 'آ': 'aa', 'أ': 'a', 'ؤ': "'", 'إ': 'i', 'ئ': "'", 'ا': 'a',
+  'ب': 'b', 'ة': 'a', 'ت': 't', 'ث': 'th', 'ج': 'j', 'ح': 'h', 'خ': 'kh',
+  'د': 'd', 'ذ': 'dh', 'ر': 'r', 'ز': 'z', 'س': 's', 'ش': 'sh', 'ص': 's',
+  'ض': 'd', 'ط': 't', 'ظ': 'z', 'ع': "'", 'غ': 'gh', 'ف': 'f', 'ق': 'q',
+  'ك': 'k', 'ل': 'l', 'م': 'm', 'ن': 'n', 'ه': 'h', 'ى': 'a',
+  // Urdu / Persian letters
+  'پ': 'p', 'چ': 'ch', 'ژ': 'zh', 'ک': 'k', 'گ': 'g', 'ٹ': 't', 'ڈ': 'd',
+  'ڑ': 'r', 'ں': 'n', 'ھ': 'h', 'ہ': 'h', 'ے': 'e'
+};
+const SEMIVOWELS = { 'و': ['w', 'u'], 'ي': ['y', 'i'], 'ی': ['y', 'i'] };
+// Fatha, damma, kasra, the three tanwin, sukun and dagger alif
+const HARAKAT = {
+  '\u064E': 'a', '\u064F': 'u', '\u0650': 'i',
+  '\u064B': 'an', '\u064C': 'un', '\u064D': 'in',
+  '\u0652': '', '\u0670': 'a'
+};
+const SHADDA = '\u0651';
+const TATWEEL = '\u0640';
+const PUNCTUATION = { '،': ',', '؛': ';', '؟': '?' };
+
+const isLetter = ch => LETTERS[ch] !== undefined || SEMIVOWELS[ch] !== undefined;
+
+function romanizeArabic(text) {
+  const chars = [...text];
+  let out = '';
+  let lastConsonant = '';
+
+  chars.forEach((ch, i) => {
+    const code = ch.codePointAt(0);
+
+    if (ch === TATWEEL) return;
+    if (ch === SHADDA) {
+      out += lastConsonant;
+      return;
+    }
+    if (HARAKAT[ch] !== undefined) {
+      out += HARAKAT[ch];
+      return;
+    }
+    if (SEMIVOWELS[ch]) {
+      const [consonant, vowel] = SEMIVOWELS[ch];
+      const prev = chars[i - 1];
+      const wordInitial = !isLetter(prev) && HARAKAT[prev] === undefined && prev !== SHADDA;
+      const vowelled = HARAKAT[chars[i + 1]] !== undefined || chars[i + 1] === SHADDA;
+      lastConsonant = consonant;
+      out += wordInitial || vowelled ? consonant : vowel;
+      return;
+    }
+    if (LETTERS[ch] !== undefined) {
+      lastConsonant = LETTERS[ch];
+      out += LETTERS[ch];
+      return;
+    }
+    if (code >= 0x0660 && code <= 0x0669) {
+      out += String(code - 0x0660);
+    } else if (code >= 0x06F0 && code <= 0x06F9) {
+      out += String(code - 0x06F0);
+    } else {
+      out += PUNCTUATION[ch] ?? ch;
+    }
+  });
+
+  return out;
+}
+
+module.exports = { romanizeArabic };
@@ -0,0 +1,32 @@
+// backend/utils/transliteration/devanagari.js
+const { createAbugidaRomanizer } = require('./abugida');
+
+// Hindi in simple Latin spelling, dropping the word-final inherent vowel
+// (schwa deletion). Nukta forms fall back to their base consonant.
+const romanizeDevanagari = createAbugidaRomanizer({
+  vowels: {
+    'अ': 'a', 'आ': 'aa', 'इ': 'i', 'ई': 'ii', 'उ': 'u', 'ऊ': 'uu',
+    'ऋ': 'ri', 'ए': 'e', 'ऐ': 'ai', 'ऑ': 'o', 'ओ': 'o', 'औ': 'au'
+  },
+  consonants: {
+    'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'ng',
+    'च': 'ch', 'छ': 'chh', 'ज': 'j', 'झ': 'jh', 'ञ': 'ny',
+    'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh', 'ण': 'n',
+    'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n', 'ऩ': 'n',
+    'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm',
+    'य': 'y', 'र': 'r', 'ऱ': 'r', 'ल': 'l', 'ळ': 'l', 'ऴ': 'zh', 'व': 'v',
+    'श': 'sh', 'ष': 'sh', 'स': 's', 'ह': 'h'
+  },
+  vowelSigns: {
+    'ा': 'aa', 'ि': 'i', 'ी': 'ii', 'ु': 'u', 'ू': 'uu', 'ृ': 'ri',
+    'े': 'e', 'ै': 'ai', 'ॉ': 'o', 'ो': 'o', 'ौ': 'au'
+  },
+  virama: '्',
+  marks: { 'ं': 'n', 'ँ': 'n', 'ः': 'h' },
+  punctuation: { '।': '.', '॥': '.' },
+  ignore: ['़'],
+  digitZero: 0x0966,
+  dropFinalInherent: true
+});
+
+module.exports = { romanizeDevanagari };
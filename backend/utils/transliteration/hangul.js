@@ -0,0 +1,41 @@
+// backend/utils/transliteration/hangul.js
+
+// Revised Romanization of Korean, syllable by syllable. Each precomposed
+// syllable splits into initial, medial and final jamo arithmetically;
+// sound changes across syllable boundaries are not applied.
+const INITIALS = [
+  'g', 'kk', 'n', 'd', 'tt', 'r', 'm', 'b', 'pp', 's',
+  'ss', '', 'j', 'jj', 'ch', 'k', 't', 'p', 'h'
+];
+const MEDIALS = [
+  'a', 'ae', 'ya', 'yae', 'eo', 'e', 'yeo', 'ye', 'o', 'wa', 'wae',
+  'oe', 'yo', 'u', 'wo', 'we', 'wi', 'yu', 'eu', 'ui', 'i'
+];
+const FINALS = [
+  '', 'k', 'k', 'k', 'n', 'n', 'n', 't', 'l', 'k', 'm', 'l', 'l', 'l',
+  'p', 'l', 'm', 'p', 'p', 't', 't', 'ng', 't', 't', 'k', 't', 'p', 't'
+];
+
+const FIRST_SYLLABLE = 0xAC00;
+const LAST_SYLLABLE = 0xD7A3;
+
+function romanizeHangul(text) {
+  let out = '';
+
+  for (const ch of text) {
+    const code = ch.codePointAt(0);
+    if (code < FIRST_SYLLABLE || code > LAST_SYLLABLE) {
+      out += ch;
+      continue;
+    }
+
+    const index = code - FIRST_SYLLABLE;
+    out += INITIALS[Math.floor(index / 588)]
+      + MEDIALS[Math.floor((index % 588) / 28)]
+      + FINALS[index % 28];
+  }
+
+  return out;
+}
+
+module.exports = { romanizeHangul };
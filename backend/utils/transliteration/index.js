@@ -0,0 +1,60 @@
+// backend/utils/transliteration/index.js
+const { romanizeSinhala } = require('./sinhala');
+const { romanizeTamil } = require('./tamil');
+const { romanizeDevanagari } = require('./devanagari');
+const { romanizeHangul } = require('./hangul');
+const { romanizeKana } = require('./kana');
+const { romanizeArabic } = require('./arabic');
+
+// Rule-based romanization, no network needed. Text is split into runs of
+// one script and each run goes through that script's romanizer, so mixed
+// lines ("Oh මගේ ආදරේ") keep their Latin parts untouched.
+const SCRIPTS = [
+  { name: 'sinhala', from: 0x0D80, to: 0x0DFF, romanize: romanizeSinhala },
+  { name: 'tamil', from: 0x0B80, to: 0x0BFF, romanize: romanizeTamil },
+  { name: 'devanagari', from: 0x0900, to: 0x097F, romanize: romanizeDevanagari },
+  { name: 'hangul', from: 0xAC00, to: 0xD7A3, romanize: romanizeHangul },
+  { name: 'kana', from: 0x3040, to: 0x30FF, romanize: romanizeKana },
+  { name: 'arabic', from: 0x0600, to: 0x06FF, romanize: romanizeArabic }
+];
+
+// Zero-width (non-)joiners belong to the run they sit in
+const JOINERS = new Set(['\u200C', '\u200D']);
+
+function scriptOf(ch) {
+  const code = ch.codePointAt(0);
+  return SCRIPTS.find(script => code >= script.from && code <= script.to) || null;
+}
+
+function hasRomanizableText(text) {
+  return typeof text === 'string' && [...text].some(ch => scriptOf(ch) !== null);
+}
+
+// Latin-script version of `text`; characters of other scripts (including
+// kanji) are kept as they are
+function romanize(text) {
+  if (!hasRomanizableText(text)) return text;
+
+  let out = '';
+  let run = '';
+  let runScript = null;
+
+  const flush = () => {
+    out += runScript ? runScript.romanize(run) : run;
+    run = '';
+  };
+
+  for (const ch of text) {
+    const script = JOINERS.has(ch) && runScript ? runScript : scriptOf(ch);
+    if (script !== runScript) {
+      flush();
+      runScript = script;
+    }
+    run += ch;
+  }
+  flush();
+
+  return out;
+}
+
+module.exports = { romanize, hasRomanizableText };
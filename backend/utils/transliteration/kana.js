@@ -0,0 +1,84 @@
+// backend/utils/transliteration/kana.js
+
+// Hepburn romanization of hiragana and katakana. Kanji need a dictionary
+// to read, so they are left as they are.
+const KANA = {
+  'あ': 'a', 'い': 'i', 'う': 'u', 'え': 'e', 'お': 'o',
+  'か': 'ka', 'き': 'ki', 'く': 'ku', 'け': 'ke', 'こ': 'ko',
+  'が': 'ga', 'ぎ': 'gi', 'ぐ': 'gu', 'げ': 'ge', 'ご': 'go',
+  'さ': 'sa', 'し': 'shi', 'す': 'su', 'せ': 'se', 'そ': 'so',
+  'ざ': 'za', 'じ': 'ji', 'ず': 'zu', 'ぜ': 'ze', 'ぞ': 'zo',
+  'た': 'ta', 'ち': 'chi', 'つ': 'tsu', 'て': 'te', 'と': 'to',
+  'だ': 'da', 'ぢ': 'ji', 'づ': 'zu', 'で': 'de', 'ど': 'do',
+  'な': 'na', 'に': 'ni', 'ぬ': 'nu', 'ね': 'ne', 'の': 'no',
+  'は': 'ha', 'ひ': 'hi', 'ふ': 'fu', 'へ': 'he', 'ほ': 'ho',
+  'ば': 'ba', 'び': 'bi', 'ぶ': 'bu', 'べ': 'be', 'ぼ': 'bo',
+  'ぱ': 'pa', 'ぴ': 'pi', 'ぷ': 'pu', 'ぺ': 'pe', 'ぽ': 'po',
+  'ま': 'ma', 'み': 'mi', 'む': 'mu', 'め': 'me', 'も': 'mo',
+  'や': 'ya', 'ゆ': 'yu', 'よ': 'yo',
+  'ら': 'ra', 'り': 'ri', 'る': 'ru', 'れ': 're', 'ろ': 'ro',
+  'わ': 'wa', 'ゐ': 'wi', 'ゑ': 'we', 'を': 'wo', 'ん': 'n', 'ゔ': 'vu',
+  'ぁ': 'a', 'ぃ': 'i', 'ぅ': 'u', 'ぇ': 'e', 'ぉ': 'o', 'ゎ': 'wa'
+};
+const SMALL_Y = { 'ゃ': 'a', 'ゅ': 'u', 'ょ': 'o' };
+const SMALL_VOWELS = { 'ぁ': 'a', 'ぃ': 'i', 'ぅ': 'u', 'ぇ': 'e', 'ぉ': 'o' };
+const SOKUON = 'っ';
+const LONG_MARK = 'ー';
+
+// Katakana sits 0x60 above the matching hiragana
+const toHiragana = ch => {
+  const code = ch.codePointAt(0);
+  return code >= 0x30A1 && code <= 0x30F6 ? String.fromCodePoint(code - 0x60) : ch;
+};
+
+function romanizeKana(text) {
+  const chars = [...text].map(toHiragana);
+  let out = '';
+  let doubleNext = false;
+
+  for (let i = 0; i < chars.length; i++) {
+    const ch = chars[i];
+
+    if (ch === SOKUON || ch === 'ッ') {
+      doubleNext = true;
+      continue;
+    }
+    if (ch === LONG_MARK) {
+      out += out.match(/[aeiou]$/)?.[0] || '';
+      continue;
+    }
+    if (ch === '・') {
+      out += ' ';
+      continue;
+    }
+
+    let syllable = KANA[ch];
+    if (syllable === undefined) {
+      out += ch;
+      doubleNext = false;
+      continue;
+    }
+
+    // Contractions: き + ゃ -> kya, し + ゃ -> sha, フ + ァ -> fa
+    const next = chars[i + 1];
+    if (SMALL_Y[next] && syllable.endsWith('i') && syllable.length > 1) {
+      const stem = syllable.slice(0, -1);
+      syllable = (/^(sh|ch|j)$/.test(stem) ? stem : `${stem}y`) + SMALL_Y[next];
+      i++;
+    } else if (SMALL_VOWELS[next] && syllable.length > 1) {
+      syllable = syllable.replace(/[aeiou]$/, '') + SMALL_VOWELS[next];
+      i++;
+    }
+
+    if (doubleNext) {
+      syllable = syllable.startsWith('ch') ? `t${syllable}` : syllable[0] + syllable;
+      doubleNext = false;
+    }
+
+    out += syllable;
+  }
+
+  return out;
+}
+
+module.exports = { romanizeKana };
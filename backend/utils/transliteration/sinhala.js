@@ -0,0 +1,31 @@
+// backend/utils/transliteration/sinhala.js
+const { createAbugidaRomanizer } = require('./abugida');
+
+// Everyday "Singlish" spelling rather than ISO 15919, so lines read the
+// way people type Sinhala lyrics: ත -> th, ට -> t, ච -> ch.
+const romanizeSinhala = createAbugidaRomanizer({
+  vowels: {
+    'අ': 'a', 'ආ': 'aa', 'ඇ': 'ae', 'ඈ': 'aae', 'ඉ': 'i', 'ඊ': 'ii',
+    'උ': 'u', 'ඌ': 'uu', 'ඍ': 'ru', 'ඎ': 'ruu', 'ඏ': 'lu', 'ඐ': 'luu',
+    'එ': 'e', 'ඒ': 'ee', 'ඓ': 'ai', 'ඔ': 'o', 'ඕ': 'oo', 'ඖ': 'au'
+  },
+  consonants: {
+    'ක': 'k', 'ඛ': 'kh', 'ග': 'g', 'ඝ': 'gh', 'ඞ': 'ng', 'ඟ': 'ng',
+    'ච': 'ch', 'ඡ': 'chh', 'ජ': 'j', 'ඣ': 'jh', 'ඤ': 'ny', 'ඥ': 'gn', 'ඦ': 'nj',
+    'ට': 't', 'ඨ': 'th', 'ඩ': 'd', 'ඪ': 'dh', 'ණ': 'n', 'ඬ': 'nd',
+    'ත': 'th', 'ථ': 'th', 'ද': 'd', 'ධ': 'dh', 'න': 'n', 'ඳ': 'nd',
+    'ප': 'p', 'ඵ': 'ph', 'බ': 'b', 'භ': 'bh', 'ම': 'm', 'ඹ': 'mb',
+    'ය': 'y', 'ර': 'r', 'ල': 'l', 'ව': 'w', 'ශ': 'sh', 'ෂ': 'sh',
+    'ස': 's', 'හ': 'h', 'ළ': 'l', 'ෆ': 'f'
+  },
+  vowelSigns: {
+    'ා': 'aa', 'ැ': 'ae', 'ෑ': 'aae', 'ි': 'i', 'ී': 'ii', 'ු': 'u',
+    'ූ': 'uu', 'ෘ': 'ru', 'ෲ': 'ruu', 'ෟ': 'lu', 'ෙ': 'e', 'ේ': 'ee',
+    'ෛ': 'ai', 'ො': 'o', 'ෝ': 'oo', 'ෞ': 'au'
+  },
+  virama: '්',
+  marks: { 'ං': 'ng', 'ඃ': 'h' },
+  digitZero: 0x0DE6
+});
+
+module.exports = { romanizeSinhala };
@@ -0,0 +1,26 @@
+// backend/utils/transliteration/tamil.js
+const { createAbugidaRomanizer } = require('./abugida');
+
+// Common Tamil romanization as used in lyric sites: ழ -> zh, ச -> ch
+const romanizeTamil = createAbugidaRomanizer({
+  vowels: {
+    'அ': 'a', 'ஆ': 'aa', 'இ': 'i', 'ஈ': 'ii', 'உ': 'u', 'ஊ': 'uu',
+    'எ': 'e', 'ஏ': 'ee', 'ஐ': 'ai', 'ஒ': 'o', 'ஓ': 'oo', 'ஔ': 'au'
+  },
+  consonants: {
+    'க': 'k', 'ங': 'ng', 'ச': 'ch', 'ஜ': 'j', 'ஞ': 'nj', 'ட': 't',
+    'ண': 'n', 'த': 'th', 'ந': 'n', 'ன': 'n', 'ப': 'p', 'ம': 'm',
+    'ய': 'y', 'ர': 'r', 'ற': 'r', 'ல': 'l', 'ள': 'l', 'ழ': 'zh',
+    'வ': 'v', 'ஶ': 'sh', 'ஷ': 'sh', 'ஸ': 's', 'ஹ': 'h'
+  },
+  vowelSigns: {
+    'ா': 'aa', 'ி': 'i', 'ீ': 'ii', 'ு': 'u', 'ூ': 'uu', 'ெ': 'e',
+    'ே': 'ee', 'ை': 'ai', 'ொ': 'o', 'ோ': 'oo', 'ௌ': 'au'
+  },
+  virama: '்',
+  marks: { 'ஃ': 'h', 'ஂ': 'm' },
+  ignore: ['ௗ'],
+  digitZero: 0x0BE6
+});
+
+module.exports = { romanizeTamil };
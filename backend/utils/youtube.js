@@ -0,0 +1,31 @@
+// backend/utils/youtube.js
+const { ApiError } = require('./ApiError');
+
+// Same patterns as LyricsApi.extractVideoId on the client
+const VIDEO_ID_PATTERNS = [
+  /(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/|youtube\.com\/v\/)([a-zA-Z0-9_-]{11})/,
+  /youtube\.com\/watch\?.*v=([a-zA-Z0-9_-]{11})/
+];
+
+function extractVideoId(url) {
+  if (typeof url === 'string') {
+    for (const pattern of VIDEO_ID_PATTERNS) {
+      const match = url.match(pattern);
+      if (match) return match[1];
+    }
+  }
+
+  throw new ApiError('Please enter a valid YouTube URL', 'INVALID_URL', 400);
+}
+
+// The playlist ID of a playlist link (youtube.com/playlist?list=...), or
+// null. Video links that merely carry a list= parameter are videos.
+function extractPlaylistId(url) {
+  if (typeof url !== 'string' || VIDEO_ID_PATTERNS.some(pattern => pattern.test(url))) {
+    return null;
+  }
+  const match = url.match(/^https?:\/\/(?:www\.|m\.|music\.)?youtube\.com\/playlist\?(?:.*&)?list=([a-zA-Z0-9_-]+)/);
+  return match ? match[1] : null;
+}
+
+module.exports = { extractVideoId, extractPlaylistId };
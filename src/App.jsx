@@ -1,19 +1,226 @@
-import React, { useState, useEffect } from "react";
-import { Music, Globe, Play, Sparkles, ArrowRight, Maximize, Minimize } from "lucide-react";
+import React, { useState, useEffect, useRef } from "react";
+import { Music, Globe, Play, Sparkles, ArrowRight, Maximize, Minimize, AlertTriangle, History, Languages, BookOpen, ListVideo, XCircle } from "lucide-react";
+import lyricsApi from "./api/lyricsApi";
+import translateApi from "./api/translateApi";
+import ResultsPanel from "./components/ResultsPanel";
+import LyricsView from "./components/LyricsView";
+import KaraokePlayer from "./components/KaraokePlayer";
+import HistoryPanel from "./components/HistoryPanel";
+import GlossaryPanel from "./components/GlossaryPanel";
+import BatchPanel from "./components/BatchPanel";
+import ManualLyricsFields from "./components/ManualLyricsFields";
+import TranslationTabs from "./components/TranslationTabs";
+import SourceLanguageSelect from "./components/SourceLanguageSelect";
+import { addHistoryEntry } from "./utils/historyStore";
+import { getGlossaryFor } from "./utils/glossaryStore";
+import { alignLyricsLines, EMPTY_MANUAL_LYRICS } from "./utils/lyricsLines";
+import { getFriendlyErrorMessage, getErrorTitle } from "./utils/errorMessages";
 import "./App.css";
 
+const LANGUAGE_OPTIONS = [
+  { name: "Sinhala", flag: "🇱🇰" },
+  { name: "Tamil", flag: "🇮🇳" },
+  { name: "Hindi", flag: "🇮🇳" },
+  { name: "Spanish", flag: "🇪🇸" },
+  { name: "French", flag: "🇫🇷" },
+  { name: "German", flag: "🇩🇪" },
+  { name: "Japanese", flag: "🇯🇵" },
+  { name: "Korean", flag: "🇰🇷" },
+];
+
 function App() {
   const [youtubeLink, setYoutubeLink] = useState("");
-  const [language, setLanguage] = useState("Sinhala");
+  const [languages, setLanguages] = useState(["Sinhala"]);
+  // "auto" lets the backend detect the lyrics' language
+  const [sourceLanguage, setSourceLanguage] = useState("auto");
   const [isLoading, setIsLoading] = useState(false);
+  // { completed, total } lines of the running translation
+  const [progress, setProgress] = useState(null);
+  // A single-language run as it streams in ({ title, lines }); kept after
+  // a cancel with the lines translated so far
+  const [liveResult, setLiveResult] = useState(null);
+  const [notice, setNotice] = useState(null);
+  // The running translation. Cancel, a new run, reopening a history entry
+  // and unmounting abort it; a run that is no longer current changes nothing
+  const controllerRef = useRef(null);
   const [isFullscreen, setIsFullscreen] = useState(false);
+  // Per-language results ({ [code]: { success, data | error } }); a
+  // single-language run is a map with one entry
+  const [translations, setTranslations] = useState(null);
+  const [activeLanguage, setActiveLanguage] = useState(null);
+  const [error, setError] = useState(null);
+  const [showKaraoke, setShowKaraoke] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [historyVersion, setHistoryVersion] = useState(0);
+  const [showGlossary, setShowGlossary] = useState(false);
+  const [showBatch, setShowBatch] = useState(false);
+  // The latest batch job, kept while its panel is closed
+  const [batchId, setBatchId] = useState(null);
+  const [inputMode, setInputMode] = useState("link");
+  const [manualLyrics, setManualLyrics] = useState(EMPTY_MANUAL_LYRICS);
+
+  const activeEntry = translations?.[activeLanguage];
+  const result = activeEntry?.success ? activeEntry.data : null;
+
+  const progressPercent = progress?.total
+    ? Math.round((progress.completed / progress.total) * 100)
+    : 0;
+
+  const canSubmit = inputMode === "manual"
+    ? manualLyrics.lyrics.trim().length > 0
+    : youtubeLink.trim().length > 0;
+
+  const toggleLanguage = (name) => {
+    setLanguages((selected) => {
+      if (!selected.includes(name)) return [...selected, name];
+      // Keep at least one target language
+      return selected.length > 1 ? selected.filter((item) => item !== name) : selected;
+    });
+  };
+
+  const updateActiveResult = (data) => {
+    setTranslations((current) => ({ ...current, [activeLanguage]: { success: true, data } }));
+  };
+
+  // `request(signal)` starts the run. `keepOthers` merges the new results
+  // into the open tabs (used when one language is refreshed) instead of
+  // replacing them
+  const runTranslation = async (request, { keepOthers = false } = {}) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
 
-  const handleTranslate = () => {
     setIsLoading(true);
-    // Simulate processing
-    setTimeout(() => {
-      setIsLoading(false);
-    }, 2000);
+    setProgress(null);
+    setLiveResult(null);
+    setNotice(null);
+    if (!keepOthers) setTranslations(null);
+    setError(null);
+    setShowKaraoke(false);
+
+    const response = await request(controller.signal);
+    if (controllerRef.current !== controller) return;
+    controllerRef.current = null;
+
+    if (response.success) {
+      setLiveResult(null);
+      const results = response.data.results || {
+        [response.data.targetLanguage]: { success: true, data: response.data },
+      };
+      const codes = Object.keys(results);
+
+      setTranslations((current) => (keepOthers ? { ...current, ...results } : results));
+      setActiveLanguage(codes.find((code) => results[code].success) || codes[0]);
+
+      Promise.all(
+        Object.values(results)
+          .filter((entry) => entry.success)
+          .map((entry) => addHistoryEntry(entry.data))
+      ).then(() => setHistoryVersion((v) => v + 1));
+    } else if (response.error.type === "CANCELLED") {
+      setNotice("Translation cancelled.");
+    } else {
+      setLiveResult(null);
+      setError(response.error);
+    }
+    setProgress(null);
+    setIsLoading(false);
+  };
+
+  const handleCancel = () => {
+    controllerRef.current?.abort();
+  };
+
+  // Stop the running translation for good, e.g. when other results replace it
+  const abortTranslation = () => {
+    controllerRef.current?.abort();
+    controllerRef.current = null;
+    setIsLoading(false);
+    setProgress(null);
+    setLiveResult(null);
+    setNotice(null);
+  };
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  // Handler for the events of a streamed run: the original lyrics first,
+  // then translated lines as their batches finish. Events after `signal`
+  // aborts are dropped.
+  const streamHandler = (signal) => (type, data) => {
+    if (signal.aborted) return;
+    if (type === "lyrics") {
+      setProgress({ completed: 0, total: data.totalLines });
+      setLiveResult({
+        title: data.title,
+        lines: data.lyrics.split(/\r?\n/).map((original) => ({ original, translated: "" })),
+      });
+    } else if (type === "lines") {
+      const translated = new Map(data.lines.map((line) => [line.index, line.translated]));
+      setProgress({ completed: data.completed, total: data.total });
+      setLiveResult((current) => current && {
+        ...current,
+        lines: current.lines.map((line, index) =>
+          translated.has(index) ? { ...line, translated: translated.get(index) } : line
+        ),
+      });
+    }
+  };
+
+  // Global glossary terms plus those saved for this video
+  const glossaryFor = (url) =>
+    getGlossaryFor(url && lyricsApi.validateYouTubeUrl(url) ? lyricsApi.extractVideoId(url) : null);
+
+  const handleTranslate = () => {
+    // "Sinhala" and "si" both resolve to the same code
+    const codes = languages.map((name) => translateApi.getLanguageCode(name));
+    const targetLanguage = codes.length === 1 ? codes[0] : codes;
+    const url = youtubeLink.trim();
+
+    // The lyrics are translated by the backend pipeline, so the picked
+    // source language goes there rather than to translateApi.translate.
+    // One language streams its lines in; several run as a background job
+    // that reports progress only.
+    runTranslation(async (signal) => {
+      const glossary = await glossaryFor(url);
+      const manual = inputMode === "manual" ? manualLyrics : null;
+
+      if (!Array.isArray(targetLanguage)) {
+        return lyricsApi.streamLyricsTranslate(
+          { url, target: targetLanguage, source: sourceLanguage, manual, glossary },
+          { onEvent: streamHandler(signal), signal }
+        );
+      }
+      const onProgress = (value) => !signal.aborted && setProgress(value);
+      const options = { source: sourceLanguage, glossary, onProgress, signal };
+      return manual
+        ? lyricsApi.manualLyricsTranslate({ ...manual, url }, targetLanguage, options)
+        : lyricsApi.lyricsTranslate(url, targetLanguage, options);
+    });
+  };
+
+  // Reopen a saved result without calling the APIs
+  const handleOpenHistoryEntry = (savedResult) => {
+    abortTranslation();
+    setTranslations({ [savedResult.targetLanguage]: { success: true, data: savedResult } });
+    setActiveLanguage(savedResult.targetLanguage);
+    setError(null);
+    setShowKaraoke(false);
+    setShowHistory(false);
+  };
+
+  // Re-extract and re-translate the current language, skipping every cache
+  // but keeping the source language it was translated from
+  const handleRefresh = () => {
+    const url = `https://www.youtube.com/watch?v=${result.videoId}`;
+    const source = result.sourceLanguage || "auto";
+    runTranslation(
+      async (signal) =>
+        lyricsApi.streamLyricsTranslate(
+          { url, target: result.targetLanguage, source, glossary: await glossaryFor(url), refresh: true },
+          { onEvent: streamHandler(signal), signal }
+        ),
+      { keepOthers: true }
+    );
   };
 
   const toggleFullscreen = () => {
@@ -55,6 +262,42 @@ function App() {
         <div className="bg-element bg-element-3"></div>
       </div>
 
+      {/* Karaoke view (uses the same fullscreen toggle as the navbar) */}
+      {showKaraoke && result && (
+        <KaraokePlayer
+          videoId={result.videoId}
+          lines={alignLyricsLines(result.lyrics, result.translatedText, result.lines)}
+          isFullscreen={isFullscreen}
+          onToggleFullscreen={toggleFullscreen}
+          onClose={() => setShowKaraoke(false)}
+        />
+      )}
+
+      {/* Glossary editor */}
+      {showGlossary && (
+        <GlossaryPanel videoId={result?.videoId || null} onClose={() => setShowGlossary(false)} />
+      )}
+
+      {/* Batch jobs */}
+      {showBatch && (
+        <BatchPanel
+          batchId={batchId}
+          onBatchChange={setBatchId}
+          defaultTarget={translateApi.getLanguageCode(languages[0])}
+          sourceLanguage={sourceLanguage}
+          onClose={() => setShowBatch(false)}
+        />
+      )}
+
+      {/* History sidebar */}
+      {showHistory && (
+        <HistoryPanel
+          onClose={() => setShowHistory(false)}
+          onOpenEntry={handleOpenHistoryEntry}
+          refreshKey={historyVersion}
+        />
+      )}
+
       {/* Navbar */}
       <nav className="navbar">
         <div className="navbar-left">
@@ -64,6 +307,39 @@ function App() {
           <span className="navbar-title">LyricsFlow</span>
         </div>
         <div className="navbar-right">
+          <button
+            onClick={() => {
+              setShowBatch(!showBatch);
+              setShowGlossary(false);
+              setShowHistory(false);
+            }}
+            className="fullscreen-button"
+            title="Batch translate a playlist"
+          >
+            <ListVideo size={20} />
+          </button>
+          <button
+            onClick={() => {
+              setShowGlossary(!showGlossary);
+              setShowHistory(false);
+              setShowBatch(false);
+            }}
+            className="fullscreen-button"
+            title="Glossary and protected terms"
+          >
+            <BookOpen size={20} />
+          </button>
+          <button
+            onClick={() => {
+              setShowHistory(!showHistory);
+              setShowGlossary(false);
+              setShowBatch(false);
+            }}
+            className="fullscreen-button"
+            title="Translation history"
+          >
+            <History size={20} />
+          </button>
           <button 
             onClick={toggleFullscreen}
             className="fullscreen-button"
@@ -95,11 +371,29 @@ function App() {
       <div className="main-container">
         <div className="form-container">
           <div className="form-content">
+            {/* Input Mode */}
+            <div className="mode-tabs">
+              <button
+                onClick={() => setInputMode("link")}
+                className={`mode-tab ${inputMode === "link" ? "active" : ""}`}
+              >
+                From YouTube
+              </button>
+              <button
+                onClick={() => setInputMode("manual")}
+                className={`mode-tab ${inputMode === "manual" ? "active" : ""}`}
+              >
+                Paste Lyrics
+              </button>
+            </div>
+
             {/* YouTube Link Input */}
             <div className="input-group">
               <label className="input-label">
                 <Play className="label-icon play-icon" />
-                <span>YouTube Song Link</span>
+                <span>
+                  YouTube Song Link{inputMode === "manual" && " (optional, saves the lyrics for this video)"}
+                </span>
               </label>
               <div className="input-wrapper">
                 <input
@@ -115,38 +409,56 @@ function App() {
               </div>
             </div>
 
-            {/* Language Selection */}
+            {/* Pasted Lyrics */}
+            {inputMode === "manual" && (
+              <ManualLyricsFields value={manualLyrics} onChange={setManualLyrics} />
+            )}
+
+            {/* Source Language */}
+            <div className="input-group">
+              <label className="input-label">
+                <Languages className="label-icon globe-icon" />
+                <span>Lyrics language</span>
+              </label>
+              <SourceLanguageSelect
+                value={sourceLanguage}
+                onChange={setSourceLanguage}
+                className="select-input"
+              />
+            </div>
+
+            {/* Language Selection (one or more) */}
             <div className="input-group">
               <label className="input-label">
                 <Globe className="label-icon globe-icon" />
                 <span>Translate to</span>
               </label>
-              <select
-                value={language}
-                onChange={(e) => setLanguage(e.target.value)}
-                className="select-input"
-              >
-                <option value="Sinhala">🇱🇰 Sinhala</option>
-                <option value="Tamil">🇮🇳 Tamil</option>
-                <option value="Hindi">🇮🇳 Hindi</option>
-                <option value="Spanish">🇪🇸 Spanish</option>
-                <option value="French">🇫🇷 French</option>
-                <option value="German">🇩🇪 German</option>
-                <option value="Japanese">🇯🇵 Japanese</option>
-                <option value="Korean">🇰🇷 Korean</option>
-              </select>
+              <div className="language-chips">
+                {LANGUAGE_OPTIONS.map(({ name, flag }) => (
+                  <button
+                    key={name}
+                    onClick={() => toggleLanguage(name)}
+                    aria-pressed={languages.includes(name)}
+                    className={`language-chip ${languages.includes(name) ? "active" : ""}`}
+                  >
+                    {flag} {name}
+                  </button>
+                ))}
+              </div>
             </div>
 
             {/* Submit Button */}
             <button
               onClick={handleTranslate}
-              disabled={!youtubeLink.trim() || isLoading}
-              className={`submit-button ${isLoading ? 'loading' : ''} ${!youtubeLink.trim() ? 'disabled' : ''}`}
+              disabled={!canSubmit || isLoading}
+              className={`submit-button ${isLoading ? 'loading' : ''} ${!canSubmit ? 'disabled' : ''}`}
             >
               {isLoading ? (
                 <>
                   <div className="loading-spinner"></div>
-                  <span>Translating...</span>
+                  <span>
+                    Translating...{progress?.total > 0 && ` ${progress.completed}/${progress.total} lines`}
+                  </span>
                 </>
               ) : (
                 <>
@@ -155,9 +467,71 @@ function App() {
                 </>
               )}
             </button>
+
+            {/* Progress and Cancel */}
+            {isLoading && (
+              <div className="progress-row">
+                <div
+                  role="progressbar"
+                  aria-valuemin={0}
+                  aria-valuemax={100}
+                  aria-valuenow={progressPercent}
+                  className="progress-track"
+                >
+                  <div className="progress-fill" style={{ width: `${progressPercent}%` }} />
+                </div>
+                <button onClick={handleCancel} className="cancel-button">
+                  <XCircle size={16} /> Cancel
+                </button>
+              </div>
+            )}
           </div>
         </div>
 
+        {notice && <p className="results-notice">{notice}</p>}
+
+        {/* Error Panel */}
+        {error && (
+          <div className="error-container">
+            <AlertTriangle className="error-icon" />
+            <div>
+              <h3 className="error-title">{getErrorTitle(error)}</h3>
+              <p className="error-message">{getFriendlyErrorMessage(error)}</p>
+              {error.type === "NO_LYRICS_FOUND" && inputMode === "link" && (
+                <button onClick={() => setInputMode("manual")} className="error-action">
+                  Paste lyrics manually
+                </button>
+              )}
+            </div>
+          </div>
+        )}
+
+        {/* Lines streaming in, or what was translated before a cancel */}
+        {liveResult && (
+          <div className="results-container">
+            <h2 className="results-title">{liveResult.title || "Translating..."}</h2>
+            <LyricsView lines={liveResult.lines} />
+          </div>
+        )}
+
+        {/* Results Panel, with a tab per language */}
+        {translations && (
+          <TranslationTabs
+            translations={translations}
+            activeLanguage={activeLanguage}
+            onSelect={setActiveLanguage}
+          />
+        )}
+        {result && (
+          <ResultsPanel
+            key={activeLanguage}
+            result={result}
+            onResultChange={updateActiveResult}
+            onOpenKaraoke={() => setShowKaraoke(true)}
+            onRefresh={handleRefresh}
+          />
+        )}
+
         {/* Feature Cards */}
         <div className="feature-grid">
           <div className="feature-card">
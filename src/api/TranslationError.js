@@ -0,0 +1,17 @@
+// src/api/TranslationError.js
+
+// Error raised by TranslateApi and its providers; `type` matches the
+// backend's ApiError types
+export class TranslationError extends Error {
+  constructor(message, type, statusCode = null) {
+    super(message);
+    this.name = 'TranslationError';
+    this.type = type;
+    this.statusCode = statusCode;
+  }
+
+  // The caller aborted the request through its AbortSignal
+  static cancelled(message = 'Translation cancelled') {
+    return new TranslationError(message, 'CANCELLED');
+  }
+}
@@ -1,5 +1,12 @@
 // src/api/lyricsApi.js
 import axios from 'axios';
+import {
+  getCachedTranslation,
+  putCachedTranslation,
+  invalidateCachedTranslations
+} from '../utils/translationCache';
+import { readEventStream } from '../utils/eventStream';
+import { alignLyricsLines } from '../utils/lyricsLines';
 
 class LyricsApiError extends Error {
   constructor(message, type, statusCode = null) {
@@ -8,12 +15,19 @@ class LyricsApiError extends Error {
     this.type = type;
     this.statusCode = statusCode;
   }
+
+  // The caller aborted the request through its AbortSignal
+  static cancelled(message = 'Request cancelled') {
+    return new LyricsApiError(message, 'CANCELLED');
+  }
 }
 
 class LyricsApi {
   constructor() {
-    this.baseURL = process.env.REACT_APP_API_BASE_URL || '/api';
+    this.baseURL = import.meta.env.VITE_API_BASE_URL || '/api';
     this.timeout = 30000; // 30 seconds
+    this.jobPollInterval = 1000; // how often a pipeline job is checked
+    this.jobPollRetries = 8; // failed checks in a row before giving up (about 2 minutes)
     
     // Configure axios instance
     this.client = axios.create({
@@ -40,6 +54,12 @@ class LyricsApi {
     return patterns.some(pattern => pattern.test(url));
   }
 
+  // Playlist links (youtube.com/playlist?list=...) are only accepted by
+  // batch jobs; a watch link that carries list= is still a single video
+  validatePlaylistUrl(url) {
+    return /^https?:\/\/(www\.|m\.|music\.)?youtube\.com\/playlist\?(.*&)?list=[a-zA-Z0-9_-]+/.test(url);
+  }
+
   extractVideoId(url) {
     const patterns = [
       /(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/|youtube\.com\/v\/)([a-zA-Z0-9_-]{11})/,
@@ -55,6 +75,10 @@ class LyricsApi {
   }
 
   handleAxiosError(error) {
+    if (axios.isCancel(error)) {
+      throw LyricsApiError.cancelled();
+    }
+
     if (error.code === 'ECONNABORTED') {
       throw new LyricsApiError(
         'Request timeout. The video might be too long or server is busy',
@@ -78,6 +102,15 @@ class LyricsApi {
     }
 
     const { status, data } = error.response;
+
+    // Our backend reports { success: false, error: { message, type, stage? } }
+    if (data?.error?.type) {
+      const apiError = new LyricsApiError(data.error.message, data.error.type, status);
+      apiError.stage = data.error.stage || null;
+      apiError.steps = data.steps || null;
+      throw apiError;
+    }
+
     const errorMessage = data?.message || data?.error || 'Unknown error';
 
     switch (status) {
@@ -114,7 +147,9 @@ class LyricsApi {
     }
   }
 
-  async extractLyrics(youtubeUrl) {
+  // `signal` (an AbortSignal) cancels the request with a CANCELLED error;
+  // the same goes for translateLyrics and processVideo
+  async extractLyrics(youtubeUrl, { signal } = {}) {
     try {
       // Validate URL first
       if (!this.validateYouTubeUrl(youtubeUrl)) {
@@ -125,7 +160,8 @@ class LyricsApi {
       }
 
       const response = await this.client.get('/lyrics', {
-        params: { url: youtubeUrl }
+        params: { url: youtubeUrl },
+        signal
       });
 
       const data = response.data;
@@ -151,6 +187,7 @@ class LyricsApi {
         success: true,
         data: {
           lyrics,
+          timedLines: data.data?.timedLines || data.timedLines || null,
           title: data.data?.title || data.title || 'Unknown Title',
           artist: data.data?.artist || data.artist || 'Unknown Artist',
           duration: data.data?.duration || data.duration,
@@ -171,7 +208,7 @@ class LyricsApi {
     }
   }
 
-  async translateLyrics(lyrics, targetLanguage = 'si') {
+  async translateLyrics(lyrics, targetLanguage = 'si', { signal } = {}) {
     try {
       if (!lyrics || lyrics.trim().length === 0) {
         throw new LyricsApiError(
@@ -184,7 +221,7 @@ class LyricsApi {
         text: lyrics,
         targetLanguage,
         sourceLanguage: 'auto'
-      });
+      }, { signal });
 
       const data = response.data;
 
@@ -228,15 +265,16 @@ class LyricsApi {
     }
   }
 
-  async processVideo(youtubeUrl, targetLanguage = 'si') {
+  async processVideo(youtubeUrl, targetLanguage = 'si', { signal } = {}) {
     try {
       // Step 1: Extract lyrics
-      const lyricsResult = await this.extractLyrics(youtubeUrl);
+      const lyricsResult = await this.extractLyrics(youtubeUrl, { signal });
       
       // Step 2: Translate lyrics
       const translationResult = await this.translateLyrics(
         lyricsResult.data.lyrics,
-        targetLanguage
+        targetLanguage,
+        { signal }
       );
 
       return {
@@ -248,7 +286,9 @@ class LyricsApi {
       };
 
     } catch (error) {
-      console.error('processVideo error:', error);
+      if (error.type !== 'CANCELLED') {
+        console.error('processVideo error:', error);
+      }
       return {
         success: false,
         error: {
@@ -260,30 +300,328 @@ class LyricsApi {
     }
   }
 
-  // Combined lyrics extraction and translation (matching the second version's pattern)
-  async lyricsTranslate(url, target = 'si') {
+  // Combined lyrics extraction and translation as one backend job (see
+  // runPipeline for `onProgress` and `signal`). Failures carry `stage` ('extract' | 'detect' | 'translate') and
+  // per-step `steps`. Results are mirrored in IndexedDB; `refresh` bypasses
+  // both caches. `source` overrides the detected source language and, like
+  // refresh, skips cached translations; so do `glossary` entries (see
+  // ../utils/glossary) found in the lyrics, which the backend keeps away
+  // from the providers.
+  // A list of targets returns `data.results`, a per-language result map.
+  async lyricsTranslate(
+    url,
+    target = 'si',
+    { refresh = false, source = 'auto', glossary = [], onProgress, signal } = {}
+  ) {
+    if (!this.validateYouTubeUrl(url)) {
+      return this.pipelineFailure(
+        new LyricsApiError('Please enter a valid YouTube URL', 'INVALID_URL')
+      );
+    }
+
+    if (Array.isArray(target)) {
+      return this.lyricsTranslateMany(url, target, { refresh, source, glossary, onProgress, signal });
+    }
+
+    const cached = await this.getUsableCached(this.extractVideoId(url), target, { refresh, source, glossary });
+    if (cached) {
+      return { success: true, data: { ...cached, cached: true }, steps: [] };
+    }
+
+    return this.runPipeline({ url, target, source, refresh, glossary }, { onProgress, signal });
+  }
+
+  // The locally cached translation for a video and language, if it still
+  // answers the request. The backend decides which glossary terms match;
+  // here a song is only reused when no term appears anywhere in its lyrics,
+  // which may send a few requests to the backend that it could have skipped.
+  async getUsableCached(videoId, target, { refresh = false, source = 'auto', glossary = [] }) {
+    if (refresh || source !== 'auto') return null;
+
+    const cached = await getCachedTranslation(videoId, target);
+    const lyrics = String(cached?.lyrics ?? '').toLowerCase();
+    const hasTerm = glossary.some(entry =>
+      typeof entry?.term === 'string' && entry.term.trim() && lyrics.includes(entry.term.trim().toLowerCase())
+    );
+    return hasTerm ? null : cached;
+  }
+
+  // Several languages for one video. Languages already in IndexedDB are
+  // served locally and the rest are translated in one backend request.
+  async lyricsTranslateMany(
+    url,
+    targets,
+    { refresh = false, source = 'auto', glossary = [], onProgress, signal } = {}
+  ) {
+    const videoId = this.extractVideoId(url);
+    const cachedResults = {};
+
+    for (const code of targets) {
+      const cached = await this.getUsableCached(videoId, code, { refresh, source, glossary });
+      if (cached) {
+        cachedResults[code] = { success: true, data: { ...cached, cached: true } };
+      }
+    }
+
+    const missing = targets.filter(code => !cachedResults[code]);
+    let response = { success: true, data: {}, steps: [] };
+
+    if (missing.length > 0) {
+      response = await this.runPipeline(
+        { url, targets: missing, source, refresh, glossary },
+        { onProgress, signal }
+      );
+      if (!response.success) return response;
+    } else {
+      const { title, artist, lyrics } = Object.values(cachedResults)[0].data;
+      response.data = { videoId, title, artist, lyrics };
+    }
+
+    const results = { ...cachedResults, ...response.data.results };
+    return {
+      ...response,
+      data: {
+        ...response.data,
+        results: Object.fromEntries(
+          targets.filter(code => results[code]).map(code => [code, results[code]])
+        )
+      }
+    };
+  }
+
+  // Translate lyrics the user pasted (or loaded from LRC), skipping
+  // extraction. An optional URL links them to the video for reuse.
+  // Like lyricsTranslate, a list of targets returns `data.results`.
+  async manualLyricsTranslate(
+    { url, lyrics, title, artist, timedLines },
+    target = 'si',
+    { source = 'auto', glossary = [], onProgress, signal } = {}
+  ) {
+    if (!lyrics || lyrics.trim().length === 0) {
+      return this.pipelineFailure(
+        new LyricsApiError('Please paste the lyrics to translate', 'NO_LYRICS')
+      );
+    }
+
+    if (url && !this.validateYouTubeUrl(url)) {
+      return this.pipelineFailure(
+        new LyricsApiError('Please enter a valid YouTube URL', 'INVALID_URL')
+      );
+    }
+
+    return this.runPipeline({
+      url: url || undefined,
+      ...(Array.isArray(target) ? { targets: target } : { target }),
+      source,
+      glossary,
+      lyrics,
+      title,
+      artist,
+      timedLines
+    }, { onProgress, signal });
+  }
+
+  // lyricsTranslate / manualLyricsTranslate for one language, streamed over
+  // Server-Sent Events so long lyrics show progress: onEvent receives
+  // 'lyrics' once the lyrics are known and 'lines' ({ lines, completed,
+  // total }) as batches are translated. Aborting `signal` also stops the
+  // backend job. `refresh` bypasses both caches, as in lyricsTranslate.
+  // Resolves with the same envelope as runPipeline.
+  async streamLyricsTranslate(
+    { url, target = 'si', source = 'auto', manual = null, glossary = [], refresh = false },
+    { onEvent = () => {}, signal } = {}
+  ) {
+    if (manual && !manual.lyrics?.trim()) {
+      return this.pipelineFailure(
+        new LyricsApiError('Please paste the lyrics to translate', 'NO_LYRICS')
+      );
+    }
+
+    if ((!manual || url) && !this.validateYouTubeUrl(url)) {
+      return this.pipelineFailure(
+        new LyricsApiError('Please enter a valid YouTube URL', 'INVALID_URL')
+      );
+    }
+
+    if (!manual) {
+      const cached = await this.getUsableCached(this.extractVideoId(url), target, { refresh, source, glossary });
+      if (cached) {
+        return { success: true, data: { ...cached, cached: true }, steps: [] };
+      }
+    }
+
     try {
-      const response = await this.client.post('/lyrics-translate', {
-        url,
-        target
+      const response = await fetch(`${this.baseURL}/lyrics-translate/stream`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ url: url || undefined, target, source, refresh, glossary, ...manual }),
+        signal,
       });
 
-      const data = response.data;
+      if (!response.ok) {
+        throw new LyricsApiError(`HTTP ${response.status}`, 'HTTP_ERROR', response.status);
+      }
 
-      if (data.success === false) {
+      let outcome = null;
+      await readEventStream(response.body, (type, data) => {
+        if (type === 'result') {
+          outcome = { success: true, data: data.data, steps: data.steps };
+        } else if (type === 'error') {
+          outcome = { success: false, error: data.error, steps: data.steps };
+        } else {
+          onEvent(type, data);
+        }
+      });
+
+      if (!outcome) {
+        throw new LyricsApiError('The translation stream ended early', 'NETWORK_ERROR');
+      }
+      if (outcome.success) {
+        await putCachedTranslation(outcome.data);
+      }
+      return outcome;
+
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        return this.pipelineFailure(LyricsApiError.cancelled('Translation cancelled'));
+      }
+      console.error('streamLyricsTranslate error:', error);
+      return this.pipelineFailure(error);
+    }
+  }
+
+  // Run the pipeline as a backend job (POST /jobs) and poll it until it
+  // finishes, so long videos are not cut off by the request timeout.
+  // `onProgress({ completed, total })` reports translated lines; aborting
+  // `signal` cancels the job. Resolves with { success, data | error, steps }.
+  async runPipeline(payload, { onProgress, signal } = {}) {
+    let job = null;
+
+    try {
+      job = (await this.client.post('/jobs', payload, { signal })).data.data;
+
+      while (job.status === 'queued' || job.status === 'running') {
+        await this.wait(this.jobPollInterval, signal);
+        job = await this.pollJob(job.id, { signal });
+        if (job.progress) onProgress?.(job.progress);
+      }
+
+      if (job.status !== 'completed') {
         return {
           success: false,
           error: {
-            type: data.error?.type || 'UNKNOWN_ERROR',
-            message: data.error?.message || 'Translation failed'
-          }
+            type: job.error?.type || 'UNKNOWN_ERROR',
+            message: job.error?.message || 'Translation failed',
+            stage: job.error?.stage || null
+          },
+          steps: job.steps || []
         };
       }
 
-      return data;
+      if (job.result.results) {
+        await Promise.all(
+          Object.values(job.result.results)
+            .filter(entry => entry.success)
+            .map(entry => putCachedTranslation(entry.data))
+        );
+      } else {
+        await putCachedTranslation(job.result);
+      }
+      return { success: true, data: job.result, steps: job.steps };
+
+    } catch (error) {
+      if (error.type === 'CANCELLED' && job) {
+        this.cancelJob(job.id).catch(() => {});
+      } else {
+        console.error('lyricsTranslate error:', error);
+      }
+      return this.pipelineFailure(error);
+    }
+  }
+
+  // A pipeline job: { id, status, progress, steps, result, error }
+  async getJob(id, { signal } = {}) {
+    return (await this.client.get(`/jobs/${id}`, { signal })).data.data;
+  }
+
+  // Failures a busy or restarting server causes (no connection, a timeout,
+  // a 5xx from the proxy), which are worth another try
+  isTransientError(error) {
+    return ['NETWORK_ERROR', 'TIMEOUT'].includes(error?.type) || error?.statusCode >= 500;
+  }
+
+  // getJob while waiting on a job. The backend resumes jobs after a
+  // restart, so transient failures are retried with backoff; anything
+  // else, such as NOT_FOUND, ends the wait.
+  async pollJob(id, { signal } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.getJob(id, { signal });
+      } catch (error) {
+        if (!this.isTransientError(error) || attempt >= this.jobPollRetries) throw error;
+
+        await this.wait(Math.min(this.jobPollInterval * Math.pow(2, attempt), 30 * 1000), signal);
+      }
+    }
+  }
+
+  async cancelJob(id) {
+    return (await this.client.post(`/jobs/${id}/cancel`)).data.data;
+  }
+
+  // Resolve after `ms`, or reject with CANCELLED once `signal` aborts
+  wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(LyricsApiError.cancelled());
+        return;
+      }
+      const timer = setTimeout(resolve, ms);
+      signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(LyricsApiError.cancelled());
+      }, { once: true });
+    });
+  }
+
+  pipelineFailure(error) {
+    return {
+      success: false,
+      error: {
+        type: error.type || 'NETWORK_ERROR',
+        message: error.message,
+        stage: error.stage || (['INVALID_URL', 'NO_LYRICS'].includes(error.type) ? 'extract' : null)
+      },
+      steps: error.steps || []
+    };
+  }
+
+  // Save lines picked in compare mode ([{ original, translated, provider }])
+  // as the song's preferred translation, which the backend then serves for
+  // this video and language. Without a video the merge is only local.
+  async savePreferredTranslation(result, lines) {
+    const merged = {
+      ...result,
+      lines,
+      translatedText: lines.map(line => line.translated).join('\n'),
+      provider: 'preferred',
+      cached: false
+    };
+
+    if (!result.videoId || !result.lyricsHash) {
+      return { success: true, data: merged };
+    }
 
+    try {
+      await this.client.put(`/translate/preferred/${result.videoId}`, {
+        target: result.targetLanguage,
+        lyricsHash: result.lyricsHash,
+        lines: lines.map(({ original, translated, provider }) => ({ original, translated, provider }))
+      });
+      await putCachedTranslation(merged);
+      return { success: true, data: merged };
     } catch (error) {
-      console.error('lyricsTranslate error:', error);
+      console.error('savePreferredTranslation error:', error);
       return {
         success: false,
         error: {
@@ -294,6 +632,196 @@ class LyricsApi {
     }
   }
 
+  // Human post-editing: each save is a new version on the backend (author,
+  // timestamp and the lines changed since the previous version), and the
+  // newest version is served ahead of machine translation. Results without
+  // a video are edited locally only.
+  async listRevisions(videoId, target) {
+    try {
+      const response = await this.client.get(`/translate/revisions/${videoId}`, {
+        params: { target }
+      });
+      return { success: true, data: response.data.data.versions };
+    } catch (error) {
+      console.error('listRevisions error:', error);
+      return { success: false, error: { type: error.type || 'NETWORK_ERROR', message: error.message } };
+    }
+  }
+
+  // `result` with the lines of a saved version in place of its translation;
+  // timings and other line fields are kept
+  withRevision(result, version) {
+    const lines = result.lines.map((line, i) => ({
+      ...line,
+      translated: version.lines[i]?.translated ?? line.translated,
+      // The backend romanizes the edited text the next time it is served
+      romanizedTranslated: null
+    }));
+
+    return {
+      ...result,
+      lines,
+      translatedText: lines.map(line => line.translated).join('\n'),
+      provider: 'human',
+      revision: version.version
+        ? { version: version.version, author: version.author, savedAt: version.savedAt }
+        : null,
+      cached: false
+    };
+  }
+
+  async saveRevision(result, lines, author) {
+    if (!result.videoId || !result.lyricsHash) {
+      return { success: true, data: this.withRevision(result, { lines }) };
+    }
+
+    return this.storeRevision(result, `/translate/revisions/${result.videoId}`, {
+      target: result.targetLanguage,
+      lyricsHash: result.lyricsHash,
+      author,
+      lines: lines.map(({ original, translated }) => ({ original, translated })),
+      baseLines: result.lines.map(({ original, translated }) => ({ original, translated }))
+    });
+  }
+
+  async revertRevision(result, version, author) {
+    return this.storeRevision(result, `/translate/revisions/${result.videoId}/revert`, {
+      target: result.targetLanguage,
+      version,
+      author
+    });
+  }
+
+  // POST a revision and mirror the new version in IndexedDB
+  async storeRevision(result, path, payload) {
+    try {
+      const response = await this.client.post(path, payload);
+      const updated = this.withRevision(result, response.data.data);
+      await putCachedTranslation(updated);
+      return { success: true, data: updated };
+    } catch (error) {
+      console.error('Revision save error:', error);
+      return {
+        success: false,
+        error: {
+          type: error.type || 'NETWORK_ERROR',
+          message: error.message
+        }
+      };
+    }
+  }
+
+  // Lyric sheet of `result` built on the backend: 'pdf', 'docx', 'md',
+  // 'txt' or 'json'. Resolves to { success, data: Blob }.
+  async exportLyrics(result, format) {
+    try {
+      const payload = {
+        title: result.title,
+        artist: result.artist,
+        videoId: result.videoId,
+        sourceLanguage: result.sourceLanguage,
+        detection: result.detection,
+        detectedLanguage: result.detectedLanguage,
+        targetLanguage: result.targetLanguage,
+        provider: result.provider,
+        revision: result.revision,
+        lines: alignLyricsLines(result.lyrics, result.translatedText, result.lines)
+          .map(({ original, translated }) => ({ original, translated }))
+      };
+      const blob = await this.requestBlob({ method: 'post', url: `/export/${format}`, data: payload });
+      return { success: true, data: blob };
+    } catch (error) {
+      console.error('exportLyrics error:', error);
+      return {
+        success: false,
+        error: {
+          type: error.type || 'EXPORT_ERROR',
+          message: error.message
+        }
+      };
+    }
+  }
+
+  // A file download as a Blob. Error bodies arrive as a Blob too, so they
+  // are read here instead of in handleAxiosError; one that is not our JSON
+  // (a proxy's error page, an empty body) is reported by its status.
+  async requestBlob(request) {
+    const response = await this.client.request({
+      ...request,
+      responseType: 'blob',
+      validateStatus: () => true
+    });
+
+    if (response.status >= 400) {
+      let error = null;
+      try {
+        error = JSON.parse(await response.data.text()).error;
+      } catch {
+        // Not JSON
+      }
+      throw new LyricsApiError(
+        error?.message || `Download failed (HTTP ${response.status})`,
+        error?.type || (response.status >= 500 ? 'SERVER_ERROR' : 'HTTP_ERROR'),
+        response.status
+      );
+    }
+    return response.data;
+  }
+
+  // Batch jobs: video and playlist links translated into one language on
+  // the backend. The batch ({ id, status, counts, items }) is polled with
+  // getBatch until its status is 'completed' or 'cancelled'; the results
+  // then download as one zip.
+  async createBatch(urls, target, { source = 'auto', glossary = [] } = {}) {
+    return this.batchRequest(async () =>
+      (await this.client.post('/batches', { urls, target, source, glossary })).data.data
+    );
+  }
+
+  async getBatch(id, { signal } = {}) {
+    return this.batchRequest(async () => (await this.client.get(`/batches/${id}`, { signal })).data.data);
+  }
+
+  async cancelBatch(id) {
+    return this.batchRequest(async () => (await this.client.post(`/batches/${id}/cancel`)).data.data);
+  }
+
+  // The translated videos as a zip of `format` files (see exportLyrics)
+  async downloadBatch(id, format = 'txt') {
+    return this.batchRequest(() =>
+      this.requestBlob({ method: 'get', url: `/batches/${id}/download`, params: { format } })
+    );
+  }
+
+  async batchRequest(request) {
+    try {
+      return { success: true, data: await request() };
+    } catch (error) {
+      if (error.type !== 'CANCELLED') console.error('Batch request error:', error);
+      return {
+        success: false,
+        error: {
+          type: error.type || 'NETWORK_ERROR',
+          message: error.message,
+          statusCode: error.statusCode
+        }
+      };
+    }
+  }
+
+  // Drop cached results for a video (optionally one language) on both sides
+  async invalidateCache(videoId, target) {
+    await invalidateCachedTranslations(videoId, target);
+
+    try {
+      await this.client.delete(`/cache/${videoId}`, {
+        params: target ? { target } : {}
+      });
+    } catch (error) {
+      console.warn('Backend cache invalidation failed:', error.message);
+    }
+  }
+
   // Retry wrapper for failed requests
   async withRetry(operation, maxRetries = 3, delay = 1000) {
     let lastError;
@@ -331,9 +859,9 @@ const lyricsApi = new LyricsApi();
 export default lyricsApi;
 
 // Standalone functions for backward compatibility
-export async function extractLyrics(youtubeUrl) {
+export async function extractLyrics(youtubeUrl, options) {
   try {
-    return await lyricsApi.extractLyrics(youtubeUrl);
+    return await lyricsApi.extractLyrics(youtubeUrl, options);
   } catch (error) {
     console.error('extractLyrics error:', error);
     return {
@@ -346,8 +874,16 @@ export async function extractLyrics(youtubeUrl) {
   }
 }
 
-export async function lyricsTranslate(url, target = 'si') {
-  return await lyricsApi.lyricsTranslate(url, target);
+export async function lyricsTranslate(url, target = 'si', options) {
+  return await lyricsApi.lyricsTranslate(url, target, options);
+}
+
+export async function manualLyricsTranslate(manual, target = 'si', options) {
+  return await lyricsApi.manualLyricsTranslate(manual, target, options);
+}
+
+export async function streamLyricsTranslate(request, handlers) {
+  return await lyricsApi.streamLyricsTranslate(request, handlers);
 }
 
 export { LyricsApiError };
\ No newline at end of file
@@ -0,0 +1,29 @@
+// src/api/providers/backendProvider.js
+import { TranslationError } from '../TranslationError';
+
+// Our backend, which runs its own provider fallback chain
+export function createBackendProvider(api) {
+  return {
+    name: 'backend',
+    languages: null,
+    maxTextLength: api.maxTextLength,
+    glossary: true,
+
+    async translate(text, target, source, { signal, glossary } = {}) {
+      const result = await api.translate(text, target, source, { signal, glossary });
+      if (!result.success) {
+        throw new TranslationError(
+          result.error.message,
+          result.error.type,
+          result.error.statusCode
+        );
+      }
+
+      return {
+        translatedText: result.data.translatedText,
+        detectedLanguage: result.data.sourceLanguage,
+        provider: result.data.provider
+      };
+    }
+  };
+}
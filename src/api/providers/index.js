@@ -0,0 +1,60 @@
+// src/api/providers/index.js
+export { createBackendProvider } from './backendProvider';
+export { createLibreProvider } from './libreProvider';
+
+// An adapter is { name, languages, maxTextLength, glossary,
+// translate(text, target, source, { signal, glossary }) }. `languages: null`
+// means any language; `glossary: true` marks an adapter that applies
+// glossary entries itself (only those take text with a glossary). Rate
+// limits and circuit breakers are only kept on the backend
+// (backend/utils/rateLimiter.js, backend/utils/circuitBreaker.js), which
+// reports them through /api/providers/health.
+//
+// `order` is the default fallback order and `languageOrder` overrides it per
+// target language. Registered providers missing from an order are tried last.
+export function createProviderRegistry({ order = [], languageOrder = {} } = {}) {
+  const providers = new Map();
+
+  const ordered = (names) => [
+    ...names.filter(name => providers.has(name)),
+    ...[...providers.keys()].filter(name => !names.includes(name))
+  ];
+
+  return {
+    register(adapter) {
+      providers.set(adapter.name, {
+        ...adapter,
+        languages: adapter.languages || null,
+        maxTextLength: adapter.maxTextLength ?? Infinity,
+        glossary: Boolean(adapter.glossary)
+      });
+      return this;
+    },
+
+    get(name) {
+      return providers.get(name) || null;
+    },
+
+    forLanguage(code) {
+      return ordered(languageOrder[code] || order)
+        .map(name => providers.get(name))
+        .filter(provider => !provider.languages || provider.languages.includes(code));
+    }
+  };
+}
+
+// VITE_TRANSLATE_PROVIDERS_SI=libretranslate,backend -> { si: [...] }
+export function readLanguageOrder(env) {
+  return Object.fromEntries(
+    Object.entries(env)
+      .filter(([key]) => /^VITE_TRANSLATE_PROVIDERS_[A-Z]{2,3}$/.test(key))
+      .map(([key, value]) => [
+        key.slice('VITE_TRANSLATE_PROVIDERS_'.length).toLowerCase(),
+        splitList(value)
+      ])
+  );
+}
+
+export function splitList(value = '') {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
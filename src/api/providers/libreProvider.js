@@ -0,0 +1,88 @@
+// src/api/providers/libreProvider.js
+import { TranslationError } from '../TranslationError';
+
+// A LibreTranslate server called straight from the browser, for when our
+// backend is unreachable
+export function createLibreProvider({ url, timeout }) {
+  return {
+    name: 'libretranslate',
+    languages: null,
+    maxTextLength: 5000,
+
+    // `signal` is the caller's; the request is also aborted on timeout
+    async translate(text, target, source, { signal } = {}) {
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), timeout);
+      const cancel = () => controller.abort();
+      signal?.addEventListener('abort', cancel);
+
+      try {
+        const response = await fetch(`${url}/translate`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ q: text, source, target, format: 'text' }),
+          signal: controller.signal
+        });
+
+        if (!response.ok) {
+          const errorData = await response.json().catch(() => ({}));
+
+          if (response.status === 429) {
+            throw new TranslationError(
+              'Translation rate limit exceeded',
+              'RATE_LIMITED',
+              429
+            );
+          }
+
+          throw new TranslationError(
+            errorData.error || 'LibreTranslate API error',
+            'LIBRE_API_ERROR',
+            response.status
+          );
+        }
+
+        const data = await response.json();
+
+        if (!data.translatedText) {
+          throw new TranslationError(
+            'Invalid response from LibreTranslate',
+            'INVALID_RESPONSE'
+          );
+        }
+
+        return {
+          translatedText: data.translatedText,
+          detectedLanguage: data.detectedLanguage?.language || data.detectedLanguage || source,
+          provider: 'libretranslate'
+        };
+
+      } catch (error) {
+        if (error.name === 'AbortError' && signal?.aborted) {
+          throw TranslationError.cancelled();
+        }
+
+        if (error.name === 'AbortError') {
+          throw new TranslationError(
+            'Translation timeout. Please try again',
+            'TIMEOUT'
+          );
+        }
+
+        if (error instanceof TranslationError) {
+          throw error;
+        }
+
+        throw new TranslationError(
+          'LibreTranslate service unavailable',
+          'SERVICE_UNAVAILABLE'
+        );
+      } finally {
+        clearTimeout(timeoutId);
+        signal?.removeEventListener('abort', cancel);
+      }
+    }
+  };
+}
@@ -1,20 +1,19 @@
 // src/api/translateApi.js
 import axios from 'axios';
-
-class TranslationError extends Error {
-  constructor(message, type, statusCode = null) {
-    super(message);
-    this.name = 'TranslationError';
-    this.type = type;
-    this.statusCode = statusCode;
-  }
-}
+import { TranslationError } from './TranslationError';
+import {
+  createProviderRegistry,
+  createBackendProvider,
+  createLibreProvider,
+  readLanguageOrder,
+  splitList
+} from './providers';
 
 class TranslateApi {
   constructor() {
-    this.baseURL = process.env.REACT_APP_API_BASE_URL || '/api';
-    this.googleTranslateKey = process.env.REACT_APP_GOOGLE_TRANSLATE_KEY;
-    this.libretranslateURL = process.env.REACT_APP_LIBRETRANSLATE_URL || 'https://libretranslate.de';
+    // Provider API keys live on the backend (see backend/config.js)
+    this.baseURL = import.meta.env.VITE_API_BASE_URL || '/api';
+    this.libretranslateURL = import.meta.env.VITE_LIBRETRANSLATE_URL || 'https://libretranslate.de';
     this.timeout = 15000; // 15 seconds
     this.maxTextLength = 5000; // Maximum characters per request
 
@@ -32,6 +31,32 @@ class TranslateApi {
       (response) => response,
       (error) => this.handleAxiosError(error)
     );
+
+    // Providers tried by translateChunk; the order can be set per target
+    // language, e.g. VITE_TRANSLATE_PROVIDERS_SI=libretranslate,backend
+    this.providers = createProviderRegistry({
+      order: splitList(import.meta.env.VITE_TRANSLATE_PROVIDERS || 'backend,libretranslate'),
+      languageOrder: readLanguageOrder(import.meta.env)
+    })
+      .register(createBackendProvider(this))
+      .register(createLibreProvider({ url: this.libretranslateURL, timeout: this.timeout }));
+  }
+
+  // Add a provider adapter (see ./providers) to the fallback chain
+  registerProvider(adapter) {
+    this.providers.register(adapter);
+  }
+
+  // Code of a source language; 'auto' (or nothing) leaves it to detection
+  getSourceCode(language) {
+    return !language || language === 'auto' ? 'auto' : this.getLanguageCode(language);
+  }
+
+  // The source a result reports: the one the user picked, if any, over
+  // what the provider detected
+  reportedSource(language, detected) {
+    const source = this.getSourceCode(language);
+    return source === 'auto' ? detected || 'auto' : source;
   }
 
   // Language code mapping
@@ -84,6 +109,10 @@ class TranslateApi {
 
   // Handle axios errors
   handleAxiosError(error) {
+    if (axios.isCancel(error)) {
+      throw TranslationError.cancelled();
+    }
+
     if (error.code === 'ECONNABORTED') {
       throw new TranslationError(
         'Translation timeout. Please try again',
@@ -107,6 +136,12 @@ class TranslateApi {
     }
 
     const { status, data } = error.response;
+
+    // Our backend reports { success: false, error: { message, type } }
+    if (data?.error?.type) {
+      throw new TranslationError(data.error.message, data.error.type, status);
+    }
+
     const errorMessage = data?.message || data?.error || 'Unknown error';
 
     switch (status) {
@@ -150,7 +185,7 @@ class TranslateApi {
   }
 
   // Validate translation parameters
-  validateTranslationRequest(text, targetLang) {
+  validateTranslationRequest(text, targetLang, maxLength = this.maxTextLength) {
     if (!text || typeof text !== 'string') {
       throw new TranslationError(
         'Text is required for translation',
@@ -165,9 +200,9 @@ class TranslateApi {
       );
     }
 
-    if (text.length > this.maxTextLength) {
+    if (text.length > maxLength) {
       throw new TranslationError(
-        `Text too long. Maximum ${this.maxTextLength} characters allowed`,
+        `Text too long. Maximum ${maxLength} characters allowed`,
         'TEXT_TOO_LONG'
       );
     }
@@ -223,16 +258,25 @@ class TranslateApi {
     return chunks;
   }
 
-  // Main translate method using backend API
-  async translate(text, targetLanguage, sourceLanguage = 'auto') {
+  // Main translate method using backend API. A list of target languages
+  // returns a per-language result map (see translateMany). A picked
+  // `sourceLanguage` skips detection and is what the result reports.
+  // Aborting `signal` fails the request with a CANCELLED error; `glossary`
+  // entries are applied by the backend.
+  async translate(text, targetLanguage, sourceLanguage = 'auto', { signal, glossary = [] } = {}) {
+    if (Array.isArray(targetLanguage)) {
+      return this.translateMany(text, targetLanguage, sourceLanguage, { signal, glossary });
+    }
+
     try {
       this.validateTranslationRequest(text, targetLanguage);
 
       const response = await this.client.post('/translate', {
         text,
         target: this.getLanguageCode(targetLanguage),
-        source: sourceLanguage === 'auto' ? 'auto' : this.getLanguageCode(sourceLanguage)
-      });
+        source: this.getSourceCode(sourceLanguage),
+        glossary
+      }, { signal });
 
       const data = response.data;
 
@@ -258,7 +302,7 @@ class TranslateApi {
         data: {
           originalText: text,
           translatedText,
-          sourceLanguage: data.data?.detectedLanguage || data.detectedLanguage || sourceLanguage,
+          sourceLanguage: this.reportedSource(sourceLanguage, data.data?.detectedLanguage || data.detectedLanguage),
           targetLanguage: this.getLanguageCode(targetLanguage),
           provider: data.data?.provider || data.provider || 'backend'
         }
@@ -287,219 +331,174 @@ class TranslateApi {
     }
   }
 
-  // Google Translate API implementation (fallback)
-  async translateWithGoogle(text, targetLang, sourceLang = 'auto') {
-    if (!this.googleTranslateKey) {
-      throw new TranslationError(
-        'Google Translate API key not configured',
-        'API_KEY_MISSING'
-      );
-    }
-
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
-
+  // Translate into several languages in one backend request. The backend
+  // runs the languages concurrently and each one succeeds or fails on its own.
+  // `glossary` entries apply to the languages they name, as in translate.
+  async translateMany(text, targetLanguages, sourceLanguage = 'auto', { signal, glossary = [] } = {}) {
     try {
-      const response = await fetch(
-        `https://translation.googleapis.com/language/translate/v2?key=${this.googleTranslateKey}`,
-        {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            q: text,
-            target: this.getLanguageCode(targetLang),
-            source: sourceLang === 'auto' ? undefined : this.getLanguageCode(sourceLang)
-          }),
-          signal: controller.signal
-        }
+      this.validateTranslationRequest(text, targetLanguages[0]);
+
+      const response = await this.client.post('/translate', {
+        text,
+        targets: targetLanguages.map(lang => this.getLanguageCode(lang)),
+        source: this.getSourceCode(sourceLanguage),
+        glossary
+      }, { signal });
+
+      const results = Object.fromEntries(
+        Object.entries(response.data.data?.results || {}).map(([code, entry]) => [
+          code,
+          entry.success
+            ? {
+              success: true,
+              data: {
+                originalText: text,
+                translatedText: entry.data.translatedText,
+                sourceLanguage: this.reportedSource(sourceLanguage, entry.data.detectedLanguage),
+                targetLanguage: code,
+                provider: entry.data.provider
+              }
+            }
+            : { success: false, error: entry.error }
+        ])
       );
 
-      clearTimeout(timeoutId);
+      return this.summarizeTargets(results);
 
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        
-        if (response.status === 403) {
-          throw new TranslationError(
-            'Google Translate quota exceeded or invalid API key',
-            'QUOTA_EXCEEDED',
-            403
-          );
+    } catch (error) {
+      return {
+        success: false,
+        error: {
+          message: error.message || 'Translation failed',
+          type: error.type || 'TRANSLATION_ERROR',
+          statusCode: error.statusCode
         }
-        
-        throw new TranslationError(
-          errorData.error?.message || 'Google Translate API error',
-          'GOOGLE_API_ERROR',
-          response.status
-        );
-      }
+      };
+    }
+  }
 
-      const data = await response.json();
-      
-      if (!data.data?.translations?.[0]?.translatedText) {
-        throw new TranslationError(
-          'Invalid response from Google Translate',
-          'INVALID_RESPONSE'
-        );
-      }
+  // Run a single-language `operation` for every distinct target and collect
+  // a per-language result map. Targets go one after another: the browser
+  // fallback throttles parallel requests, and translateMany already runs
+  // languages concurrently on the backend.
+  async translateEachTarget(targetLanguages, operation) {
+    const codes = [...new Set(targetLanguages.map(lang => this.getLanguageCode(lang)))];
+    const results = {};
 
-      return {
-        translatedText: data.data.translations[0].translatedText,
-        detectedLanguage: data.data.translations[0].detectedSourceLanguage || sourceLang,
-        provider: 'google'
-      };
+    for (const code of codes) {
+      results[code] = await operation(code);
+    }
+    return this.summarizeTargets(results);
+  }
 
-    } catch (error) {
-      clearTimeout(timeoutId);
-      
-      if (error.name === 'AbortError') {
-        throw new TranslationError(
-          'Translation timeout. Please try again',
-          'TIMEOUT'
-        );
-      }
-      
-      if (error instanceof TranslationError) {
-        throw error;
-      }
-      
-      throw new TranslationError(
-        'Google Translate service unavailable',
-        'SERVICE_UNAVAILABLE'
-      );
+  // Envelope for a per-language result map: successful if any language is
+  summarizeTargets(results) {
+    if (Object.values(results).some(entry => entry.success)) {
+      return { success: true, data: { results } };
     }
+
+    return {
+      success: false,
+      data: { results },
+      error: {
+        message: 'Translation failed for every target language',
+        type: 'ALL_TARGETS_FAILED'
+      }
+    };
   }
 
   // LibreTranslate API implementation (fallback)
   async translateWithLibre(text, targetLang, sourceLang = 'auto') {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+    return this.providers.get('libretranslate').translate(
+      text,
+      this.getLanguageCode(targetLang),
+      this.getSourceCode(sourceLang)
+    );
+  }
 
-    try {
-      const response = await fetch(`${this.libretranslateURL}/translate`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          q: text,
-          source: sourceLang === 'auto' ? 'auto' : this.getLanguageCode(sourceLang),
-          target: this.getLanguageCode(targetLang),
-          format: 'text'
-        }),
-        signal: controller.signal
-      });
-
-      clearTimeout(timeoutId);
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        
-        if (response.status === 429) {
-          throw new TranslationError(
-            'Translation rate limit exceeded',
-            'RATE_LIMITED',
-            429
-          );
-        }
-        
-        throw new TranslationError(
-          errorData.error || 'LibreTranslate API error',
-          'LIBRE_API_ERROR',
-          response.status
-        );
-      }
+  // Translate one chunk with the registered providers, in the fallback order
+  // for the target language. A provider is skipped when it does not support
+  // the language or the chunk is over its size limit; behind the backend
+  // adapter, the backend skips its own failing providers. `provider` pins
+  // the chunk to that one provider. An aborted `signal` stops the fallback.
+  // With `glossary` entries only providers that apply them are tried.
+  async translateChunk(
+    chunk,
+    targetLanguage,
+    sourceLanguage = 'auto',
+    { provider: pinned = null, signal = null, glossary = [] } = {}
+  ) {
+    const target = this.getLanguageCode(targetLanguage);
+    const source = this.getSourceCode(sourceLanguage);
+    const candidates = this.providers
+      .forLanguage(target)
+      .filter(provider => !pinned || provider.name === pinned)
+      .filter(provider => glossary.length === 0 || provider.glossary);
+
+    for (const provider of candidates) {
+      if (signal?.aborted) throw TranslationError.cancelled();
+      if (chunk.length > provider.maxTextLength) continue;
 
-      const data = await response.json();
-      
-      if (!data.translatedText) {
-        throw new TranslationError(
-          'Invalid response from LibreTranslate',
-          'INVALID_RESPONSE'
-        );
+      try {
+        const result = await provider.translate(chunk, target, source, { signal, glossary });
+        return { ...result, provider: result.provider || provider.name };
+      } catch (error) {
+        if (error.type === 'CANCELLED') throw error;
+        console.warn(`${provider.name} translate failed:`, error.message);
       }
+    }
 
-      return {
-        translatedText: data.translatedText,
-        detectedLanguage: data.detectedLanguage || sourceLang,
-        provider: 'libretranslate'
-      };
+    throw new TranslationError(
+      'All translation services are currently unavailable',
+      'ALL_SERVICES_FAILED'
+    );
+  }
 
-    } catch (error) {
-      clearTimeout(timeoutId);
-      
-      if (error.name === 'AbortError') {
-        throw new TranslationError(
-          'Translation timeout. Please try again',
-          'TIMEOUT'
-        );
-      }
-      
-      if (error instanceof TranslationError) {
-        throw error;
-      }
-      
-      throw new TranslationError(
-        'LibreTranslate service unavailable',
-        'SERVICE_UNAVAILABLE'
+  // Advanced translate method with chunking and fallback. A list of
+  // target languages returns a per-language result map.
+  // `onProgress({ target, completed, total, translatedText })` is called
+  // after each chunk with the text translated so far; aborting `signal`
+  // stops before the next chunk. A picked `sourceLanguage` goes to every
+  // chunk, as in translate. `glossary` entries (see ../utils/glossary)
+  // are applied by the backend, so they keep the chunks off the browser
+  // fallback.
+  async translateAdvanced(
+    text,
+    targetLanguage,
+    sourceLanguage = 'auto',
+    { onProgress, signal, glossary = [] } = {}
+  ) {
+    if (Array.isArray(targetLanguage)) {
+      return this.translateEachTarget(targetLanguage, lang =>
+        this.translateAdvanced(text, lang, sourceLanguage, { onProgress, signal, glossary })
       );
     }
-  }
 
-  // Advanced translate method with chunking and fallback
-  async translateAdvanced(text, targetLanguage, sourceLanguage = 'auto') {
     try {
       this.validateTranslationRequest(text, targetLanguage);
       
       // Split long text into chunks
       const chunks = this.splitTextIntoChunks(text);
       let translatedChunks = [];
-      let detectedLang = sourceLanguage;
+      let detectedLang = this.getSourceCode(sourceLanguage);
       let usedProvider = null;
 
       for (const chunk of chunks) {
-        let chunkResult = null;
-        
-        // Try backend API first
-        try {
-          const backendResult = await this.translate(chunk, targetLanguage, sourceLanguage);
-          if (backendResult.success) {
-            chunkResult = {
-              translatedText: backendResult.data.translatedText,
-              detectedLanguage: backendResult.data.sourceLanguage,
-              provider: backendResult.data.provider
-            };
-            usedProvider = backendResult.data.provider;
-          } else {
-            throw new Error('Backend translation failed');
-          }
-        } catch (backendError) {
-          console.warn('Backend translate failed:', backendError.message);
-          
-          // Try Google Translate
-          try {
-            chunkResult = await this.translateWithGoogle(chunk, targetLanguage, sourceLanguage);
-            usedProvider = 'google';
-          } catch (googleError) {
-            console.warn('Google Translate failed:', googleError.message);
-            
-            // Fallback to LibreTranslate
-            try {
-              chunkResult = await this.translateWithLibre(chunk, targetLanguage, sourceLanguage);
-              usedProvider = 'libretranslate';
-            } catch (libreError) {
-              console.error('LibreTranslate also failed:', libreError.message);
-              throw new TranslationError(
-                'All translation services are currently unavailable',
-                'ALL_SERVICES_FAILED'
-              );
-            }
-          }
-        }
+        const chunkResult = await this.translateChunk(
+          chunk,
+          targetLanguage,
+          sourceLanguage,
+          { signal, glossary }
+        );
+        usedProvider = chunkResult.provider;
         
         translatedChunks.push(chunkResult.translatedText);
+        onProgress?.({
+          target: this.getLanguageCode(targetLanguage),
+          completed: translatedChunks.length,
+          total: chunks.length,
+          translatedText: translatedChunks.join(' ')
+        });
         
         // Use detected language from first chunk
         if (detectedLang === 'auto' && chunkResult.detectedLanguage) {
@@ -531,6 +530,96 @@ class TranslateApi {
     }
   }
 
+  // Lyrics-aware translation through the backend's line mode (see
+  // translateLines in backend/services/translationService.js): every line
+  // is translated as a unit and the result keeps the original line breaks
+  // and stanza gaps. Aborting `signal` cancels the request and `glossary`
+  // protects terms as in translateAdvanced.
+  async translateLines(text, targetLanguage, sourceLanguage = 'auto', { signal, glossary = [] } = {}) {
+    try {
+      this.validateTranslationRequest(text, targetLanguage, Infinity);
+
+      const response = await this.client.post('/translate', {
+        text,
+        target: this.getLanguageCode(targetLanguage),
+        source: this.getSourceCode(sourceLanguage),
+        mode: 'lines',
+        glossary
+      }, { signal });
+      const data = response.data.data;
+
+      return {
+        success: true,
+        data: {
+          originalText: text,
+          translatedText: data.translatedText,
+          lines: data.lines,
+          sourceLanguage: this.reportedSource(sourceLanguage, data.detectedLanguage),
+          targetLanguage: this.getLanguageCode(targetLanguage),
+          provider: data.provider,
+          chunkCount: data.batchCount
+        }
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        error: {
+          message: error.message,
+          type: error.type,
+          statusCode: error.statusCode
+        }
+      };
+    }
+  }
+
+  // Compare mode: the same lyrics through every backend provider for the
+  // target, as a map of { success, data: { translatedText, lines } | error }
+  // keyed by provider
+  async compareProviders(text, targetLanguage, sourceLanguage = 'auto') {
+    const target = this.getLanguageCode(targetLanguage);
+    const source = this.getSourceCode(sourceLanguage);
+
+    try {
+      this.validateTranslationRequest(text, target, Infinity);
+
+      const response = await this.client.post('/translate/compare', { text, target, source });
+      const results = response.data.data?.results || {};
+
+      if (!Object.values(results).some(entry => entry.success)) {
+        return {
+          success: false,
+          data: { results },
+          error: {
+            message: 'All translation services are currently unavailable',
+            type: 'ALL_SERVICES_FAILED'
+          }
+        };
+      }
+      return { success: true, data: { results } };
+
+    } catch (error) {
+      return {
+        success: false,
+        error: { message: error.message, type: error.type || 'NETWORK_ERROR' }
+      };
+    }
+  }
+
+  // The backend's provider health: circuit state, rate limits and
+  // languages per provider (null when the backend is unreachable)
+  async getProviderHealth() {
+    let backend = null;
+    try {
+      const response = await this.client.get('/providers/health');
+      backend = response.data.data?.providers || null;
+    } catch (error) {
+      console.warn('Provider health check failed:', error.message);
+    }
+
+    return backend;
+  }
+
   // Get supported languages
   async getSupportedLanguages() {
     try {
@@ -561,6 +650,11 @@ class TranslateApi {
     }
   }
 
+  // Display name for a language code, falling back to the code itself
+  getLanguageName(code) {
+    return this.getDefaultLanguages().find(language => language.code === code)?.name || code;
+  }
+
   // Get default language list
   getDefaultLanguages() {
     return [
@@ -595,9 +689,9 @@ const translateApi = new TranslateApi();
 export default translateApi;
 
 // Standalone functions for backward compatibility
-export async function translate(text, target, source = 'auto') {
+export async function translate(text, target, source = 'auto', options) {
   try {
-    return await translateApi.translate(text, target, source);
+    return await translateApi.translate(text, target, source, options);
   } catch (error) {
     console.error('translate API error:', error);
     return {
@@ -610,6 +704,10 @@ export async function translate(text, target, source = 'auto') {
   }
 }
 
+export async function translateLines(text, target, source = 'auto', options) {
+  return await translateApi.translateLines(text, target, source, options);
+}
+
 export async function getSupportedLanguages() {
   try {
     return await translateApi.getSupportedLanguages();
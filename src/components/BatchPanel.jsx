@@ -0,0 +1,240 @@
+import React, { useEffect, useState } from 'react';
+import { X, ListPlus, XCircle, Download, Loader2, CheckCircle, AlertTriangle, Clock, Ban } from 'lucide-react';
+import lyricsApi from '../api/lyricsApi';
+import translateApi from '../api/translateApi';
+import { getGlossaryFor } from '../utils/glossaryStore';
+import { getFriendlyErrorMessage } from '../utils/errorMessages';
+import { downloadBlob } from '../utils/timedLyrics';
+import './BatchPanel.css';
+
+// How often a queued or running batch is polled (ms)
+const POLL_INTERVAL = 2000;
+
+const ZIP_FORMATS = [
+  { format: 'txt', label: 'Text' },
+  { format: 'md', label: 'Markdown' },
+  { format: 'json', label: 'JSON' },
+  { format: 'pdf', label: 'PDF' },
+  { format: 'docx', label: 'Word' },
+];
+
+const STATUS_ICONS = {
+  queued: <Clock size={16} />,
+  running: <Loader2 size={16} className="batch-spinner" />,
+  done: <CheckCircle size={16} />,
+  failed: <AlertTriangle size={16} />,
+  cancelled: <Ban size={16} />,
+};
+
+const isActive = (batch) => batch && (batch.status === 'queued' || batch.status === 'running');
+
+// Batch translation of a playlist or a list of video links. The backend
+// queues the batch and works through it; this panel polls its status and
+// offers the results as one zip. The batch ID lives in the parent
+// (`batchId` / `onBatchChange`) so closing the panel does not lose it.
+export default function BatchPanel({ batchId, onBatchChange, defaultTarget, sourceLanguage, onClose }) {
+  const [links, setLinks] = useState('');
+  const [target, setTarget] = useState(defaultTarget);
+  const [format, setFormat] = useState('txt');
+  const [batch, setBatch] = useState(null);
+  const [error, setError] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const urls = links.split(/\s+/).filter(Boolean);
+  const invalid = urls.filter((url) => !lyricsApi.validateYouTubeUrl(url) && !lyricsApi.validatePlaylistUrl(url));
+
+  // Fetch the batch, then keep polling while it is queued or running
+  useEffect(() => {
+    if (!batchId) return undefined;
+    const controller = new AbortController();
+    let timer = null;
+
+    const poll = async () => {
+      const response = await lyricsApi.getBatch(batchId, { signal: controller.signal });
+      if (controller.signal.aborted) return;
+
+      if (!response.success) {
+        setError(response.error);
+        if (response.error.type === 'NOT_FOUND') {
+          setBatch(null);
+          onBatchChange(null);
+        } else if (lyricsApi.isTransientError(response.error)) {
+          // The server is busy or restarting; try again a little later
+          timer = setTimeout(poll, POLL_INTERVAL * 2);
+        }
+        return;
+      }
+      setError(null);
+      setBatch(response.data);
+      if (isActive(response.data)) timer = setTimeout(poll, POLL_INTERVAL);
+    };
+
+    poll();
+    return () => {
+      controller.abort();
+      clearTimeout(timer);
+    };
+  }, [batchId, onBatchChange]);
+
+  const handleStart = async (e) => {
+    e.preventDefault();
+    setIsBusy(true);
+    setError(null);
+
+    const response = await lyricsApi.createBatch(urls, target, {
+      source: sourceLanguage,
+      glossary: await getGlossaryFor(null),
+    });
+    setIsBusy(false);
+
+    if (response.success) {
+      setBatch(response.data);
+      setLinks('');
+      onBatchChange(response.data.id);
+    } else {
+      setError(response.error);
+    }
+  };
+
+  const handleCancel = async () => {
+    const response = await lyricsApi.cancelBatch(batch.id);
+    if (response.success) setBatch(response.data);
+    else setError(response.error);
+  };
+
+  const handleDownload = async () => {
+    setIsBusy(true);
+    const response = await lyricsApi.downloadBatch(batch.id, format);
+    setIsBusy(false);
+
+    if (response.success) {
+      downloadBlob(`lyrics-batch.${batch.target}.${format}.zip`, response.data);
+    } else {
+      setError(response.error);
+    }
+  };
+
+  const finished = batch ? batch.counts.done + batch.counts.failed + batch.counts.cancelled : 0;
+
+  return (
+    <aside className="batch-panel">
+      <div className="batch-header">
+        <h2 className="batch-title">Batch translate</h2>
+        <button onClick={onClose} className="fullscreen-button" title="Close batch jobs">
+          <X size={20} />
+        </button>
+      </div>
+
+      <form onSubmit={handleStart} className="batch-form">
+        <textarea
+          rows={5}
+          placeholder={'A playlist link, or video links one per line\nhttps://www.youtube.com/playlist?list=...'}
+          value={links}
+          onChange={(e) => setLinks(e.target.value)}
+          className="batch-input"
+        />
+        <div className="batch-row">
+          <select
+            value={target}
+            onChange={(e) => setTarget(e.target.value)}
+            className="batch-input"
+            title="Target language"
+          >
+            {translateApi.getDefaultLanguages().map(({ code, name }) => (
+              <option key={code} value={code}>To {name}</option>
+            ))}
+          </select>
+          <button
+            type="submit"
+            disabled={urls.length === 0 || invalid.length > 0 || isBusy || isActive(batch)}
+            className="batch-button"
+            title={isActive(batch) ? 'Wait for the current batch to finish' : 'Queue these videos'}
+          >
+            <ListPlus size={16} /> Start batch
+          </button>
+        </div>
+      </form>
+      {invalid.length > 0 && (
+        <p className="batch-error">
+          <AlertTriangle size={16} /> Not a YouTube video or playlist link: {invalid[0]}
+        </p>
+      )}
+
+      {error && (
+        <p className="batch-error">
+          <AlertTriangle size={16} /> {getFriendlyErrorMessage(error)}
+        </p>
+      )}
+
+      {batch && (
+        <>
+          <div className="batch-summary">
+            <div
+              role="progressbar"
+              aria-valuemin={0}
+              aria-valuemax={batch.items.length}
+              aria-valuenow={finished}
+              className="batch-progress"
+            >
+              <div
+                className="batch-progress-bar"
+                style={{ width: `${Math.round((finished / batch.items.length) * 100)}%` }}
+              />
+            </div>
+            <p className="batch-counts">
+              {translateApi.getLanguageName(batch.target)} · {batch.status} · {batch.counts.done}/
+              {batch.items.length} done
+              {batch.counts.failed > 0 && `, ${batch.counts.failed} failed`}
+            </p>
+          </div>
+
+          <div className="batch-toolbar">
+            {isActive(batch) ? (
+              <button onClick={handleCancel} className="batch-button" title="Stop the remaining videos">
+                <XCircle size={16} /> Cancel
+              </button>
+            ) : (
+              <>
+                <select
+                  value={format}
+                  onChange={(e) => setFormat(e.target.value)}
+                  className="batch-input"
+                  title="File format inside the zip"
+                >
+                  {ZIP_FORMATS.map(({ format: value, label }) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={handleDownload}
+                  disabled={isBusy || batch.counts.done === 0}
+                  className="batch-button"
+                  title="Download every translated song as a zip"
+                >
+                  <Download size={16} /> Download zip
+                </button>
+              </>
+            )}
+          </div>
+
+          <ul className="batch-list">
+            {batch.items.map((item) => (
+              <li key={item.videoId} className={`batch-item ${item.status}`}>
+                <span className="batch-status" title={item.status}>{STATUS_ICONS[item.status]}</span>
+                <span className="batch-item-text">
+                  <span className="batch-item-title">{item.title || item.videoId}</span>
+                  <span className="batch-item-meta">
+                    {item.error
+                      ? getFriendlyErrorMessage(item.error)
+                      : item.artist || item.status}
+                    {item.attempts > 1 && ` · attempt ${item.attempts}`}
+                  </span>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </aside>
+  );
+}
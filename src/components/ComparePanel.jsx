@@ -0,0 +1,163 @@
+import React, { useEffect, useState } from 'react';
+import { X, Save, Loader2, AlertTriangle } from 'lucide-react';
+import translateApi from '../api/translateApi';
+import lyricsApi from '../api/lyricsApi';
+import { alignLyricsLines } from '../utils/lyricsLines';
+import { getFriendlyErrorMessage } from '../utils/errorMessages';
+import './ComparePanel.css';
+
+// Compare mode: the same lyrics translated by every provider, one column
+// each. Clicking a cell picks that provider's line; the picks are saved as
+// the song's preferred translation.
+export default function ComparePanel({ result, onSave, onClose }) {
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState(null);
+  const [choices, setChoices] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const lines = alignLyricsLines(result.lyrics, result.translatedText, result.lines);
+
+  const source = result.sourceLanguage && result.sourceLanguage !== 'auto'
+    ? result.sourceLanguage
+    : result.detectedLanguage || 'auto';
+
+  useEffect(() => {
+    let cancelled = false;
+
+    translateApi
+      .compareProviders(result.lyrics, result.targetLanguage, source)
+      .then((response) => {
+        if (cancelled) return;
+        if (!response.success) {
+          setError(response.error);
+          return;
+        }
+
+        const succeeded = Object.keys(response.data.results)
+          .filter((name) => response.data.results[name].success);
+        const initial = succeeded.includes(result.provider) ? result.provider : succeeded[0];
+
+        setResults(response.data.results);
+        setChoices(result.lyrics.split(/\r?\n/).map(() => initial));
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [result.lyrics, result.targetLanguage, source, result.provider]);
+
+  const providers = results
+    ? Object.keys(results).filter((name) => results[name].success)
+    : [];
+  const failed = results
+    ? Object.keys(results).filter((name) => !results[name].success)
+    : [];
+
+  const lineFrom = (name, index) => results[name].data.lines?.[index]?.translated ?? '';
+
+  const pick = (index, name) => {
+    setChoices((current) => current.map((choice, i) => (i === index ? name : choice)));
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    const merged = lines.map((line, index) => ({
+      ...line,
+      translated: line.original.trim() ? lineFrom(choices[index], index) : '',
+      provider: line.original.trim() ? choices[index] : null,
+      // The old reading no longer matches; the backend romanizes the saved
+      // version the next time it is served
+      romanizedTranslated: null,
+    }));
+
+    const response = await lyricsApi.savePreferredTranslation(result, merged);
+    setIsSaving(false);
+
+    if (response.success) {
+      onSave(response.data);
+    } else {
+      setError(response.error);
+    }
+  };
+
+  return (
+    <div className="compare-panel">
+      <div className="compare-header">
+        <h3 className="compare-title">Compare providers</h3>
+        <button onClick={onClose} className="results-action" title="Close compare mode">
+          <X size={18} />
+        </button>
+      </div>
+
+      {!results && !error && (
+        <p className="compare-status">
+          <Loader2 size={16} className="compare-spinner" /> Translating with every provider...
+        </p>
+      )}
+
+      {error && (
+        <p className="compare-status compare-error">
+          <AlertTriangle size={16} /> {getFriendlyErrorMessage(error)}
+        </p>
+      )}
+
+      {failed.length > 0 && (
+        <ul className="compare-failures">
+          {failed.map((name) => (
+            <li key={name}>
+              {name}: {getFriendlyErrorMessage(results[name].error)}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {providers.length > 0 && (
+        <>
+          <div
+            className="compare-grid"
+            style={{ gridTemplateColumns: `repeat(${providers.length + 1}, minmax(160px, 1fr))` }}
+          >
+            <div className="compare-column-title">Original</div>
+            {providers.map((name) => (
+              <button
+                key={name}
+                onClick={() => setChoices(lines.map(() => name))}
+                className="compare-column-title compare-pick-all"
+                title={`Use every line from ${name}`}
+              >
+                {name}
+              </button>
+            ))}
+
+            {lines.map((line, index) =>
+              line.original.trim() ? (
+                <React.Fragment key={index}>
+                  <div className="compare-cell original">{line.original}</div>
+                  {providers.map((name) => (
+                    <button
+                      key={name}
+                      onClick={() => pick(index, name)}
+                      aria-pressed={choices[index] === name}
+                      className={`compare-cell ${choices[index] === name ? 'selected' : ''}`}
+                    >
+                      {lineFrom(name, index)}
+                    </button>
+                  ))}
+                </React.Fragment>
+              ) : (
+                <div key={index} className="compare-gap" />
+              )
+            )}
+          </div>
+
+          <div className="compare-footer">
+            <button onClick={handleSave} disabled={isSaving} className="results-toolbar-button">
+              <Save size={16} />
+              {result.videoId ? 'Save as preferred translation' : 'Use merged translation'}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,33 @@
+import React from 'react';
+import translateApi from '../api/translateApi';
+
+const percent = (value) => `${Math.round(value * 100)}%`;
+
+// "Detected: Sinhala (92%)" for a pipeline result, listing the other
+// languages of a mixed song, or the source language the user picked
+export default function DetectedLanguage({ result, className = '' }) {
+  const { detection, sourceLanguage } = result;
+
+  if (sourceLanguage && sourceLanguage !== 'auto') {
+    return (
+      <span className={className}>
+        Source: {translateApi.getLanguageName(sourceLanguage)} (chosen)
+      </span>
+    );
+  }
+
+  if (!detection?.language) return null;
+
+  const others = detection.mixed
+    ? detection.languages
+      .slice(1)
+      .map(({ language, share }) => `${translateApi.getLanguageName(language)} ${percent(share)}`)
+    : [];
+
+  return (
+    <span className={className} title="Detected from the lyrics, line by line">
+      Detected: {translateApi.getLanguageName(detection.language)} ({percent(detection.confidence)})
+      {others.length > 0 && ` · mixed with ${others.join(', ')}`}
+    </span>
+  );
+}
@@ -0,0 +1,51 @@
+import React, { useState } from 'react';
+import { FileDown, Loader2 } from 'lucide-react';
+import lyricsApi from '../api/lyricsApi';
+import { downloadBlob } from '../utils/timedLyrics';
+import './ExportButtons.css';
+
+// Lyric sheets the backend can build; see backend/services/exportService.js
+const EXPORT_FORMATS = [
+  { format: 'pdf', label: 'PDF', title: 'Print-ready bilingual PDF' },
+  { format: 'docx', label: 'Word', title: 'Editable Word document' },
+  { format: 'md', label: 'Markdown', title: 'Markdown lyric sheet' },
+  { format: 'txt', label: 'Text', title: 'Plain text lyric sheet' },
+  { format: 'json', label: 'JSON', title: 'Structured JSON with every line pair' },
+];
+
+// One download button per export format. `onError` gets a failed export's
+// error; the buttons are disabled while one is being generated.
+export default function ExportButtons({ result, className, onError }) {
+  const [pending, setPending] = useState(null);
+
+  const baseName = (result.title || result.videoId || 'lyrics').replace(/[\\/:*?"<>|]+/g, '_');
+
+  const handleExport = async (format) => {
+    setPending(format);
+    const response = await lyricsApi.exportLyrics(result, format);
+    setPending(null);
+
+    if (response.success) {
+      downloadBlob(`${baseName}.${result.targetLanguage || 'translated'}.${format}`, response.data);
+    } else {
+      onError?.(response.error);
+    }
+  };
+
+  return (
+    <>
+      {EXPORT_FORMATS.map(({ format, label, title }) => (
+        <button
+          key={format}
+          type="button"
+          onClick={() => handleExport(format)}
+          disabled={pending !== null}
+          className={className}
+          title={title}
+        >
+          {pending === format ? <Loader2 size={16} className="export-spinner" /> : <FileDown size={16} />} {label}
+        </button>
+      ))}
+    </>
+  );
+}
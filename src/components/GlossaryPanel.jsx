@@ -0,0 +1,210 @@
+import React, { useEffect, useState } from 'react';
+import { X, Plus, Save, Trash2, Upload, Download } from 'lucide-react';
+import translateApi from '../api/translateApi';
+import {
+  listGlossary,
+  saveGlossaryEntry,
+  importGlossaryEntries,
+  removeGlossaryEntry,
+} from '../utils/glossaryStore';
+import { glossaryToCsv, parseGlossaryCsv } from '../utils/glossary';
+import { downloadTextFile } from '../utils/timedLyrics';
+import './GlossaryPanel.css';
+
+const EMPTY_ENTRY = { term: '', translation: '', source: '', target: '', videoId: null };
+
+const languageName = (code) => (code ? translateApi.getLanguageName(code) : 'any');
+
+// Glossary editor: forced translations and do-not-translate terms, global
+// or for the song that is open (`videoId`), with CSV import and export
+export default function GlossaryPanel({ videoId, onClose }) {
+  const [entries, setEntries] = useState([]);
+  const [draft, setDraft] = useState(EMPTY_ENTRY);
+  const [notice, setNotice] = useState('');
+  const [version, setVersion] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    listGlossary().then((items) => {
+      if (!cancelled) setEntries(items);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [version]);
+
+  const update = (changes) => setDraft((current) => ({ ...current, ...changes }));
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!draft.term.trim()) return;
+
+    try {
+      await saveGlossaryEntry(draft);
+    } catch (error) {
+      console.warn('Glossary write failed:', error.message);
+      setNotice('Could not save the term. Browser storage may be unavailable.');
+      return;
+    }
+    setDraft(EMPTY_ENTRY);
+    setNotice('');
+    setVersion((v) => v + 1);
+  };
+
+  const handleRemove = async (entry) => {
+    try {
+      await removeGlossaryEntry(entry.id);
+    } catch (error) {
+      console.warn('Glossary write failed:', error.message);
+      setNotice('Could not remove the term. Browser storage may be unavailable.');
+      return;
+    }
+    if (draft.id === entry.id) setDraft(EMPTY_ENTRY);
+    setVersion((v) => v + 1);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const imported = parseGlossaryCsv(await file.text());
+    if (imported.length === 0) {
+      setNotice(`No glossary terms found in ${file.name}.`);
+      return;
+    }
+
+    let count;
+    try {
+      count = await importGlossaryEntries(imported);
+    } catch (error) {
+      console.warn('Glossary write failed:', error.message);
+      setNotice(`Could not import ${file.name}. Browser storage may be unavailable.`);
+      setVersion((v) => v + 1);
+      return;
+    }
+    setNotice(`Imported ${count} term${count === 1 ? '' : 's'} from ${file.name}.`);
+    setVersion((v) => v + 1);
+  };
+
+  const handleExport = () => {
+    downloadTextFile('glossary.csv', glossaryToCsv(entries), 'text/csv');
+  };
+
+  const scopeLabel = (entry) => {
+    if (!entry.videoId) return 'all songs';
+    return entry.videoId === videoId ? 'this song' : `song ${entry.videoId}`;
+  };
+
+  return (
+    <aside className="glossary-panel">
+      <div className="glossary-header">
+        <h2 className="glossary-title">Glossary</h2>
+        <button onClick={onClose} className="fullscreen-button" title="Close glossary">
+          <X size={20} />
+        </button>
+      </div>
+
+      <form onSubmit={handleSave} className="glossary-form">
+        <input
+          type="text"
+          placeholder="Term, e.g. an artist or place name"
+          value={draft.term}
+          onChange={(e) => update({ term: e.target.value })}
+          className="glossary-input"
+        />
+        <input
+          type="text"
+          placeholder="Translation (leave empty to keep the term)"
+          value={draft.translation}
+          onChange={(e) => update({ translation: e.target.value })}
+          className="glossary-input"
+        />
+        <div className="glossary-row">
+          <select
+            value={draft.source || ''}
+            onChange={(e) => update({ source: e.target.value })}
+            className="glossary-input"
+            title="Source language"
+          >
+            <option value="">From any language</option>
+            {translateApi.getDefaultLanguages().map(({ code, name }) => (
+              <option key={code} value={code}>From {name}</option>
+            ))}
+          </select>
+          <select
+            value={draft.target || ''}
+            onChange={(e) => update({ target: e.target.value })}
+            className="glossary-input"
+            title="Target language"
+          >
+            <option value="">To any language</option>
+            {translateApi.getDefaultLanguages().map(({ code, name }) => (
+              <option key={code} value={code}>To {name}</option>
+            ))}
+          </select>
+        </div>
+        <div className="glossary-row">
+          <select
+            value={draft.videoId ? 'song' : 'global'}
+            onChange={(e) => update({ videoId: e.target.value === 'song' ? videoId : null })}
+            className="glossary-input"
+            title="Where the term applies"
+          >
+            <option value="global">All songs</option>
+            <option value="song" disabled={!videoId && !draft.videoId}>This song only</option>
+          </select>
+          <button type="submit" disabled={!draft.term.trim()} className="glossary-button">
+            {draft.id ? <Save size={16} /> : <Plus size={16} />}
+            {draft.id ? 'Save term' : 'Add term'}
+          </button>
+        </div>
+      </form>
+
+      <div className="glossary-toolbar">
+        <label className="glossary-button" title="Import terms from a CSV file">
+          <Upload size={16} /> Import CSV
+          <input type="file" accept=".csv,text/csv" onChange={handleImport} hidden />
+        </label>
+        <button
+          onClick={handleExport}
+          disabled={entries.length === 0}
+          className="glossary-button"
+          title="Download every term as CSV"
+        >
+          <Download size={16} /> Export CSV
+        </button>
+      </div>
+      {notice && <p className="glossary-notice">{notice}</p>}
+
+      <ul className="glossary-list">
+        {entries.length === 0 && (
+          <li className="glossary-empty">
+            Add names and phrases that translation keeps getting wrong.
+          </li>
+        )}
+        {entries.map((entry) => (
+          <li key={entry.id} className={`glossary-item ${draft.id === entry.id ? 'editing' : ''}`}>
+            <button onClick={() => setDraft(entry)} className="glossary-open" title="Edit this term">
+              <span className="glossary-term">
+                {entry.term} → {entry.translation || <em>kept as written</em>}
+              </span>
+              <span className="glossary-meta">
+                {languageName(entry.source)} → {languageName(entry.target)} · {scopeLabel(entry)}
+              </span>
+            </button>
+            <button
+              onClick={() => handleRemove(entry)}
+              className="glossary-icon"
+              title="Remove this term"
+            >
+              <Trash2 size={16} />
+            </button>
+          </li>
+        ))}
+      </ul>
+    </aside>
+  );
+}
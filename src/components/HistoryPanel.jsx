@@ -0,0 +1,117 @@
+import React, { useEffect, useState } from 'react';
+import { X, Search, Star, Trash2 } from 'lucide-react';
+import {
+  listHistory,
+  setHistoryFavorite,
+  removeHistoryEntry,
+} from '../utils/historyStore';
+import './HistoryPanel.css';
+
+export default function HistoryPanel({ onClose, onOpenEntry, refreshKey }) {
+  const [entries, setEntries] = useState([]);
+  const [query, setQuery] = useState('');
+  const [favoritesOnly, setFavoritesOnly] = useState(false);
+  const [notice, setNotice] = useState('');
+  const [version, setVersion] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    listHistory({ query, favoritesOnly }).then((items) => {
+      if (!cancelled) setEntries(items);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [query, favoritesOnly, refreshKey, version]);
+
+  const toggleFavorite = async (entry) => {
+    try {
+      await setHistoryFavorite(entry.id, !entry.favorite);
+      setNotice('');
+    } catch (error) {
+      console.warn('History update failed:', error.message);
+      setNotice('Could not update the favourite. Browser storage may be unavailable.');
+    }
+    setVersion((v) => v + 1);
+  };
+
+  const removeEntry = async (entry) => {
+    try {
+      await removeHistoryEntry(entry.id);
+      setNotice('');
+    } catch (error) {
+      console.warn('History update failed:', error.message);
+      setNotice('Could not remove the translation. Browser storage may be unavailable.');
+    }
+    setVersion((v) => v + 1);
+  };
+
+  return (
+    <aside className="history-panel">
+      <div className="history-header">
+        <h2 className="history-title">History</h2>
+        <button onClick={onClose} className="fullscreen-button" title="Close history">
+          <X size={20} />
+        </button>
+      </div>
+
+      <div className="history-filters">
+        <div className="history-search">
+          <Search size={16} />
+          <input
+            type="search"
+            placeholder="Search titles and lyrics..."
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+          />
+        </div>
+        <button
+          onClick={() => setFavoritesOnly(!favoritesOnly)}
+          aria-pressed={favoritesOnly}
+          className={`history-filter ${favoritesOnly ? 'active' : ''}`}
+          title="Show favourites only"
+        >
+          <Star size={16} />
+        </button>
+      </div>
+
+      {notice && <p className="history-notice">{notice}</p>}
+
+      <ul className="history-list">
+        {entries.length === 0 && (
+          <li className="history-empty">
+            {query || favoritesOnly ? 'No matching translations.' : 'Your translations will appear here.'}
+          </li>
+        )}
+        {entries.map((entry) => (
+          <li key={entry.id} className="history-item">
+            <button onClick={() => onOpenEntry(entry.result)} className="history-open">
+              <span className="history-item-title">{entry.title}</span>
+              <span className="history-item-meta">
+                {entry.artist} · {entry.sourceLanguage || 'auto'} → {entry.targetLanguage}
+                {' · '}
+                {new Date(entry.createdAt).toLocaleDateString()}
+              </span>
+            </button>
+            <button
+              onClick={() => toggleFavorite(entry)}
+              className={`history-icon ${entry.favorite ? 'favorite' : ''}`}
+              title={entry.favorite ? 'Remove from favourites' : 'Add to favourites'}
+            >
+              <Star size={16} fill={entry.favorite ? 'currentColor' : 'none'} />
+            </button>
+            <button
+              onClick={() => removeEntry(entry)}
+              className="history-icon"
+              title="Remove from history"
+            >
+              <Trash2 size={16} />
+            </button>
+          </li>
+        ))}
+      </ul>
+    </aside>
+  );
+}
@@ -0,0 +1,132 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { X, Maximize, Minimize } from 'lucide-react';
+import { loadYouTubeIframeApi } from '../utils/youtubePlayer';
+import { hasTimings, findActiveLineIndex } from '../utils/timedLyrics';
+import './KaraokePlayer.css';
+
+const POLL_INTERVAL = 250; // ms
+
+export default function KaraokePlayer({
+  videoId,
+  lines,
+  isFullscreen,
+  onToggleFullscreen,
+  onClose,
+}) {
+  const playerHostRef = useRef(null);
+  const playerRef = useRef(null);
+  const lineRefs = useRef([]);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [playerError, setPlayerError] = useState('');
+
+  const isTimed = hasTimings(lines);
+  const activeIndex = isTimed ? findActiveLineIndex(lines, currentTime) : -1;
+
+  // Mount the YouTube player and poll its clock while it is on screen
+  useEffect(() => {
+    const host = playerHostRef.current;
+    let cancelled = false;
+    let intervalId = null;
+
+    // YT.Player replaces the element it is given, so hand it a child React does not own
+    const mountPoint = document.createElement('div');
+    host.appendChild(mountPoint);
+
+    loadYouTubeIframeApi()
+      .then((YT) => {
+        if (cancelled) return;
+
+        playerRef.current = new YT.Player(mountPoint, {
+          videoId,
+          width: '100%',
+          height: '100%',
+          playerVars: { playsinline: 1, rel: 0 },
+          events: {
+            onError: () => setPlayerError('This video cannot be played here.'),
+          },
+        });
+
+        intervalId = setInterval(() => {
+          const time = playerRef.current?.getCurrentTime?.();
+          if (typeof time === 'number') setCurrentTime(time);
+        }, POLL_INTERVAL);
+      })
+      .catch((err) => {
+        if (!cancelled) setPlayerError(err.message);
+      });
+
+    return () => {
+      cancelled = true;
+      clearInterval(intervalId);
+      playerRef.current?.destroy?.();
+      playerRef.current = null;
+      host.innerHTML = '';
+    };
+  }, [videoId]);
+
+  // Keep the current line in the middle of the lyrics pane
+  useEffect(() => {
+    if (activeIndex >= 0) {
+      lineRefs.current[activeIndex]?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+  }, [activeIndex]);
+
+  const seekTo = (line) => {
+    if (typeof line.start === 'number') {
+      playerRef.current?.seekTo?.(line.start, true);
+    }
+  };
+
+  return (
+    <div className={`karaoke-overlay ${isFullscreen ? 'fullscreen' : ''}`}>
+      <div className="karaoke-header">
+        <span className="karaoke-title">Karaoke</span>
+        <div className="karaoke-controls">
+          <button
+            onClick={onToggleFullscreen}
+            className="fullscreen-button"
+            title={isFullscreen ? 'Exit Fullscreen' : 'Enter Fullscreen'}
+          >
+            {isFullscreen ? <Minimize size={20} /> : <Maximize size={20} />}
+          </button>
+          <button onClick={onClose} className="fullscreen-button" title="Close karaoke">
+            <X size={20} />
+          </button>
+        </div>
+      </div>
+
+      <div className="karaoke-body">
+        <div className="karaoke-video">
+          <div ref={playerHostRef} className="karaoke-player" />
+          {playerError && <p className="karaoke-notice">{playerError}</p>}
+        </div>
+
+        <div className="karaoke-lyrics">
+          {!isTimed && (
+            <p className="karaoke-notice">
+              These lyrics have no timings, so they will not follow the video.
+              Load an LRC file to sync them.
+            </p>
+          )}
+          {lines.map((line, index) =>
+            line.original.trim() ? (
+              <div
+                key={index}
+                ref={(el) => (lineRefs.current[index] = el)}
+                onClick={() => seekTo(line)}
+                className={`karaoke-line ${index === activeIndex ? 'active' : ''} ${
+                  isTimed ? 'seekable' : ''
+                }`}
+              >
+                <p className="karaoke-original">{line.original}</p>
+                <p className="karaoke-translated">{line.translated}</p>
+              </div>
+            ) : (
+              <div key={index} className="karaoke-gap" />
+            )
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
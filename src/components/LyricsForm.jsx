@@ -1,29 +1,103 @@
-import React, { useState, useReducer } from 'react';
-import { extractLyrics } from '../api/lyricsApi';
-import { translate } from '../api/translateApi';
+import React, { useState, useReducer, useRef, useEffect } from 'react';
+import lyricsApi, { streamLyricsTranslate } from '../api/lyricsApi';
+import { getGlossaryFor } from '../utils/glossaryStore';
+import { alignLyricsLines, EMPTY_MANUAL_LYRICS } from '../utils/lyricsLines';
+import { getFriendlyErrorMessage, getErrorTitle } from '../utils/errorMessages';
+import LyricsView from './LyricsView';
+import RevisionEditor from './RevisionEditor';
+import ExportButtons from './ExportButtons';
+import ManualLyricsFields from './ManualLyricsFields';
+import SourceLanguageSelect from './SourceLanguageSelect';
+import DetectedLanguage from './DetectedLanguage';
 import {
   Youtube,
   Globe2,
+  Languages,
   Loader2,
   AlertTriangle,
   CheckCircle,
   Copy,
+  FileText,
+  XCircle,
+  PencilLine,
 } from 'lucide-react';
 
 const initialState = {
   error: null,
   result: null,
   loading: false,
+  // { completed, total } lines while a translation streams in
+  progress: null,
+  notice: null,
 };
 
+// The form keeps its own field names; the editor and lyricsApi work with
+// the pipeline's result shape
+const toPipelineResult = (result) => ({
+  ...result,
+  lyrics: result.originalLyrics,
+  translatedText: result.translatedLyrics,
+});
+
+const fromPipelineResult = (result) => ({
+  ...result,
+  originalLyrics: result.lyrics,
+  translatedLyrics: result.translatedText,
+});
+
 function reducer(state, action) {
   switch (action.type) {
     case 'START':
-      return { ...state, loading: true, error: null, result: null };
+      return { ...state, loading: true, error: null, result: null, progress: null, notice: null };
+    case 'STREAM_LYRICS':
+      // Show the original lyrics right away; translations fill in as they arrive
+      return {
+        ...state,
+        progress: { completed: 0, total: action.payload.totalLines },
+        result: {
+          title: action.payload.title,
+          artist: action.payload.artist,
+          videoId: action.payload.videoId,
+          originalLyrics: action.payload.lyrics,
+          translatedLyrics: '',
+          detection: action.payload.detection,
+          lines: action.payload.lyrics
+            .split(/\r?\n/)
+            .map((original) => ({ original, translated: '' })),
+        },
+      };
+    case 'STREAM_LINES': {
+      if (!state.result) return state;
+      const translated = new Map(action.payload.lines.map((line) => [line.index, line.translated]));
+      return {
+        ...state,
+        progress: { completed: action.payload.completed, total: action.payload.total },
+        result: {
+          ...state.result,
+          lines: state.result.lines.map((line, index) =>
+            translated.has(index) ? { ...line, translated: translated.get(index) } : line
+          ),
+        },
+      };
+    }
     case 'SUCCESS':
-      return { ...state, loading: false, result: action.payload };
+      return { ...state, loading: false, progress: null, result: action.payload };
+    case 'EDITED':
+      return { ...state, result: action.payload };
+    case 'CANCELLED':
+      // Keep whatever was translated before the cancel
+      return {
+        ...state,
+        loading: false,
+        progress: null,
+        notice: 'Translation cancelled.',
+        result: state.result && {
+          ...state.result,
+          translatedLyrics: state.result.lines.map((line) => line.translated).join('\n'),
+        },
+      };
     case 'ERROR':
-      return { ...state, loading: false, error: action.payload };
+      return { ...state, loading: false, progress: null, error: action.payload };
     default:
       return state;
   }
@@ -32,16 +106,18 @@ function reducer(state, action) {
 export default function LyricsForm() {
   const [url, setUrl] = useState('');
   const [language, setLanguage] = useState('en');
+  const [sourceLanguage, setSourceLanguage] = useState('auto');
+  const [manualMode, setManualMode] = useState(false);
+  const [manualLyrics, setManualLyrics] = useState(EMPTY_MANUAL_LYRICS);
   const [state, dispatch] = useReducer(reducer, initialState);
+  const [isEditing, setIsEditing] = useState(false);
+  // The in-flight job; a new submit or unmounting aborts it
+  const controllerRef = useRef(null);
 
-  const getErrorMessage = (error) => {
-    if (!error) return '';
-    if (typeof error === 'string') return error;
-    if (error.type === 'MAX_RETRIES') {
-      return 'We tried multiple times but could not fetch the lyrics. Please try again later.';
-    }
-    return error.message || 'Something went wrong. Please try again.';
-  };
+  useEffect(() => () => {
+    controllerRef.current?.abort();
+    controllerRef.current = null;
+  }, []);
 
   const copyToClipboard = (text) => {
     navigator.clipboard.writeText(text);
@@ -49,42 +125,69 @@ export default function LyricsForm() {
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    // A superseded job must not touch the state of the one that replaced it
+    const isCurrent = () => controllerRef.current === controller;
+
     dispatch({ type: 'START' });
+    setIsEditing(false);
 
     try {
-      const lyricsResp = await extractLyrics(url);
+      const glossary = await getGlossaryFor(
+        url && lyricsApi.validateYouTubeUrl(url) ? lyricsApi.extractVideoId(url) : null
+      );
+      const resp = await streamLyricsTranslate(
+        {
+          url,
+          target: language,
+          source: sourceLanguage,
+          manual: manualMode ? manualLyrics : null,
+          glossary,
+        },
+        {
+          signal: controller.signal,
+          onEvent: (type, data) => {
+            if (!isCurrent()) return;
+            dispatch({ type: type === 'lyrics' ? 'STREAM_LYRICS' : 'STREAM_LINES', payload: data });
+          },
+        }
+      );
 
-      if (!lyricsResp.success) {
-        dispatch({ type: 'ERROR', payload: lyricsResp.error });
-        return;
-      }
+      if (!isCurrent()) return;
+      controllerRef.current = null;
 
-      if (!lyricsResp.data.lyrics) {
-        dispatch({
-          type: 'ERROR',
-          payload: {
-            type: 'NO_LYRICS_FOUND',
-            message: 'No lyrics found. Please paste manually.',
-          },
-        });
+      if (!resp.success && resp.error.type === 'CANCELLED') {
+        dispatch({ type: 'CANCELLED' });
         return;
       }
 
-      const tr = await translate(lyricsResp.data.lyrics, language);
-      if (!tr.success) {
-        dispatch({ type: 'ERROR', payload: tr.error });
+      if (!resp.success) {
+        dispatch({ type: 'ERROR', payload: { ...resp.error, steps: resp.steps } });
         return;
       }
 
       dispatch({
         type: 'SUCCESS',
         payload: {
-          translatedLyrics: tr.data.translatedText,
-          originalLyrics: lyricsResp.data.lyrics,
-          title: lyricsResp.data.title,
+          translatedLyrics: resp.data.translatedText,
+          originalLyrics: resp.data.lyrics,
+          title: resp.data.title,
+          artist: resp.data.artist,
+          videoId: resp.data.videoId,
+          targetLanguage: resp.data.targetLanguage,
+          lyricsHash: resp.data.lyricsHash,
+          provider: resp.data.provider,
+          revision: resp.data.revision,
+          detection: resp.data.detection,
+          sourceLanguage: resp.data.sourceLanguage,
+          lines: resp.data.lines,
+          steps: resp.steps,
         },
       });
     } catch (err) {
+      if (!isCurrent()) return;
       dispatch({
         type: 'ERROR',
         payload: {
@@ -95,19 +198,27 @@ export default function LyricsForm() {
     }
   };
 
+  const handleCancel = () => {
+    controllerRef.current?.abort();
+  };
+
+  const progressPercent = state.progress?.total
+    ? Math.round((state.progress.completed / state.progress.total) * 100)
+    : 0;
+
   return (
     <div className="max-w-4xl mx-auto px-4 py-8">
       <form onSubmit={handleSubmit} className="space-y-6">
         {/* URL input */}
         <div>
           <label className="block text-sm font-medium text-gray-200 mb-2">
-            YouTube Song URL
+            YouTube Song URL{manualMode && ' (optional)'}
           </label>
           <div className="relative">
             <Youtube className="w-5 h-5 text-gray-400 absolute left-3 top-3" />
             <input
               type="url"
-              required
+              required={!manualMode}
               placeholder="https://youtube.com/watch?v=..."
               value={url}
               onChange={(e) => setUrl(e.target.value)}
@@ -116,6 +227,35 @@ export default function LyricsForm() {
           </div>
         </div>
 
+        {/* Manual lyrics */}
+        <label className="flex items-center text-sm text-gray-300">
+          <input
+            type="checkbox"
+            checked={manualMode}
+            onChange={(e) => setManualMode(e.target.checked)}
+            className="mr-2"
+          />
+          Paste lyrics manually
+        </label>
+        {manualMode && (
+          <ManualLyricsFields value={manualLyrics} onChange={setManualLyrics} />
+        )}
+
+        {/* Source language override */}
+        <div>
+          <label className="block text-sm font-medium text-gray-200 mb-2">
+            Lyrics Language
+          </label>
+          <div className="relative">
+            <Languages className="w-5 h-5 text-gray-400 absolute left-3 top-3" />
+            <SourceLanguageSelect
+              value={sourceLanguage}
+              onChange={setSourceLanguage}
+              className="w-full pl-10 pr-4 py-2 bg-gray-800 border border-gray-700 rounded-lg text-gray-100"
+            />
+          </div>
+        </div>
+
         {/* Language selector */}
         <div>
           <label className="block text-sm font-medium text-gray-200 mb-2">
@@ -137,16 +277,48 @@ export default function LyricsForm() {
         </div>
 
         {/* Submit button */}
+        {/* Submitting while a job runs replaces it */}
         <button
           type="submit"
-          disabled={state.loading}
           className="w-full flex justify-center items-center px-4 py-2 bg-blue-600 hover:bg-blue-700 rounded-lg text-white"
         >
           {state.loading && <Loader2 className="w-5 h-5 animate-spin mr-2" />}
           {state.loading ? 'Translating...' : 'Translate Lyrics'}
         </button>
+
+        {/* Streaming progress */}
+        {state.loading && (
+          <div className="flex items-center gap-3">
+            <div
+              role="progressbar"
+              aria-valuemin={0}
+              aria-valuemax={100}
+              aria-valuenow={progressPercent}
+              className="flex-1 h-2 bg-gray-700 rounded-full overflow-hidden"
+            >
+              <div
+                className="h-full bg-blue-500 transition-all"
+                style={{ width: `${progressPercent}%` }}
+              />
+            </div>
+            <span className="text-xs text-gray-400">
+              {state.progress
+                ? `${state.progress.completed}/${state.progress.total} lines`
+                : 'Fetching lyrics...'}
+            </span>
+            <button
+              type="button"
+              onClick={handleCancel}
+              className="flex items-center text-sm text-gray-300 hover:text-white"
+            >
+              <XCircle className="w-4 h-4 mr-1" /> Cancel
+            </button>
+          </div>
+        )}
       </form>
 
+      {state.notice && <p className="mt-4 text-sm text-yellow-300">{state.notice}</p>}
+
       {/* Error Message */}
       {state.error && (
         <div className="mt-6 bg-red-500/10 border border-red-500/20 rounded-xl p-6">
@@ -154,13 +326,29 @@ export default function LyricsForm() {
             <AlertTriangle className="w-5 h-5 text-red-400 mt-0.5 mr-3 flex-shrink-0" />
             <div>
               <h3 className="text-red-300 font-medium mb-1">
-                {state.error.type === 'MAX_RETRIES'
-                  ? 'Maximum Retries Reached'
-                  : 'Error'}
+                {getErrorTitle(state.error)}
               </h3>
               <p className="text-red-200 text-sm">
-                {getErrorMessage(state.error)}
+                {getFriendlyErrorMessage(state.error)}
               </p>
+              {state.error.steps?.length > 0 && (
+                <ul className="mt-2 text-red-200/70 text-xs">
+                  {state.error.steps.map((step) => (
+                    <li key={step.stage}>
+                      {step.stage}: {step.status} ({step.durationMs} ms)
+                    </li>
+                  ))}
+                </ul>
+              )}
+              {state.error.type === 'NO_LYRICS_FOUND' && !manualMode && (
+                <button
+                  type="button"
+                  onClick={() => setManualMode(true)}
+                  className="mt-3 flex items-center text-red-300 hover:text-red-100 text-sm"
+                >
+                  <FileText className="w-4 h-4 mr-2" /> Paste lyrics manually
+                </button>
+              )}
             </div>
           </div>
         </div>
@@ -173,20 +361,58 @@ export default function LyricsForm() {
             <CheckCircle className="w-5 h-5 text-green-400 mt-0.5 mr-3 flex-shrink-0" />
             <div>
               <h3 className="text-green-300 font-medium mb-1">
-                Translated Lyrics
+                {state.result.title || 'Translated Lyrics'}
               </h3>
-              <p className="text-green-200 text-sm whitespace-pre-wrap">
-                {state.result.translatedLyrics}
-              </p>
-              <button
-                type="button"
-                onClick={() =>
-                  copyToClipboard(state.result.translatedLyrics)
-                }
-                className="mt-3 flex items-center text-green-300 hover:text-green-100 text-sm"
-              >
-                <Copy className="w-4 h-4 mr-2" /> Copy to Clipboard
-              </button>
+              <DetectedLanguage result={state.result} className="block text-gray-400 text-xs mb-2" />
+              {isEditing ? (
+                <RevisionEditor
+                  result={toPipelineResult(state.result)}
+                  onSave={(edited) => {
+                    setIsEditing(false);
+                    dispatch({ type: 'EDITED', payload: fromPipelineResult(edited) });
+                  }}
+                  onClose={() => setIsEditing(false)}
+                />
+              ) : (
+                <>
+                  <LyricsView
+                    lines={alignLyricsLines(
+                      state.result.originalLyrics,
+                      state.result.translatedLyrics,
+                      state.result.lines
+                    )}
+                  />
+                  <div className="mt-3 flex gap-4">
+                    <button
+                      type="button"
+                      disabled={state.loading}
+                      onClick={() =>
+                        copyToClipboard(state.result.translatedLyrics)
+                      }
+                      className="flex items-center text-green-300 hover:text-green-100 text-sm"
+                    >
+                      <Copy className="w-4 h-4 mr-2" /> Copy to Clipboard
+                    </button>
+                    <button
+                      type="button"
+                      disabled={state.loading}
+                      onClick={() => setIsEditing(true)}
+                      className="flex items-center text-green-300 hover:text-green-100 text-sm"
+                    >
+                      <PencilLine className="w-4 h-4 mr-2" /> Edit Translation
+                    </button>
+                  </div>
+                  {!state.loading && (
+                    <div className="mt-3 flex flex-wrap gap-4">
+                      <ExportButtons
+                        result={toPipelineResult(state.result)}
+                        className="flex items-center gap-1 text-green-300 hover:text-green-100 text-sm"
+                        onError={(error) => dispatch({ type: 'ERROR', payload: error })}
+                      />
+                    </div>
+                  )}
+                </>
+              )}
             </div>
           </div>
         </div>
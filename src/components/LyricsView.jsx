@@ -0,0 +1,101 @@
+import React, { useState } from 'react';
+import { Columns2, Rows3, FileText, Languages } from 'lucide-react';
+import './LyricsView.css';
+
+const VIEW_MODES = [
+  { id: 'side-by-side', label: 'Side by side', icon: Columns2 },
+  { id: 'interleaved', label: 'Interleaved', icon: Rows3 },
+  { id: 'original', label: 'Original', icon: FileText },
+  { id: 'translation', label: 'Translation', icon: Languages },
+];
+
+const ROMANIZED_FIELDS = { original: 'romanizedOriginal', translated: 'romanizedTranslated' };
+
+// `showRomanized` adds each line's Latin-script reading under it
+export default function LyricsView({ lines, showRomanized = false }) {
+  const [mode, setMode] = useState('side-by-side');
+  const [hovered, setHovered] = useState(null);
+
+  const pairProps = (index, className) => ({
+    className: `${className} ${hovered === index ? 'highlighted' : ''}`,
+    onMouseEnter: () => setHovered(index),
+    onMouseLeave: () => setHovered(null),
+  });
+
+  // Lines of code-switched lyrics already in the target language come back
+  // untranslated
+  const lineClass = (line, key) =>
+    `lyrics-line ${key}${key === 'translated' && line.verbatim ? ' verbatim' : ''}`;
+
+  const lineTitle = (line, key) =>
+    key === 'translated' && line.verbatim ? 'Already in the target language' : undefined;
+
+  const lineText = (line, key) => (
+    <>
+      {line[key]}
+      {showRomanized && line[ROMANIZED_FIELDS[key]] && (
+        <span className="lyrics-romanized">{line[ROMANIZED_FIELDS[key]]}</span>
+      )}
+    </>
+  );
+
+  const renderLines = () => {
+    switch (mode) {
+      case 'original':
+      case 'translation': {
+        const key = mode === 'original' ? 'original' : 'translated';
+        return lines.map((line, index) => (
+          <p key={index} className={lineClass(line, key)} title={lineTitle(line, key)}>
+            {lineText(line, key)}
+          </p>
+        ));
+      }
+      case 'interleaved':
+        return lines.map((line, index) =>
+          line.original.trim() ? (
+            <div key={index} {...pairProps(index, 'lyrics-pair interleaved')}>
+              <p className="lyrics-line original">{lineText(line, 'original')}</p>
+              <p className={lineClass(line, 'translated')} title={lineTitle(line, 'translated')}>
+                {lineText(line, 'translated')}
+              </p>
+            </div>
+          ) : (
+            <div key={index} className="lyrics-gap" />
+          )
+        );
+      default:
+        return lines.map((line, index) => (
+          <div key={index} {...pairProps(index, 'lyrics-pair side-by-side')}>
+            <p className="lyrics-line original">{lineText(line, 'original')}</p>
+            <p className={lineClass(line, 'translated')} title={lineTitle(line, 'translated')}>
+              {lineText(line, 'translated')}
+            </p>
+          </div>
+        ));
+    }
+  };
+
+  return (
+    <div className="lyrics-view">
+      {/* View mode toggles */}
+      <div className="lyrics-view-modes">
+        {VIEW_MODES.map(({ id, label, icon }) => {
+          const Icon = icon;
+          return (
+            <button
+              key={id}
+              type="button"
+              onClick={() => setMode(id)}
+              aria-pressed={mode === id}
+              className={`lyrics-view-mode ${mode === id ? 'active' : ''}`}
+            >
+              <Icon size={16} /> {label}
+            </button>
+          );
+        })}
+      </div>
+
+      <div className="lyrics-view-lines">{renderLines()}</div>
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import { FileText, Upload } from 'lucide-react';
+import { parseLrc } from '../utils/timedLyrics';
+
+// Inputs for pasted lyrics: text, optional title/artist and an optional
+// LRC file that fills the text and carries line timings
+export default function ManualLyricsFields({ value, onChange }) {
+  const [lrcName, setLrcName] = useState('');
+
+  const update = (changes) => onChange({ ...value, ...changes });
+
+  const handleLrcUpload = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const timedLines = parseLrc(await file.text());
+    if (timedLines.length === 0) {
+      setLrcName('');
+      update({ timedLines: null });
+      return;
+    }
+
+    setLrcName(file.name);
+    update({ lyrics: timedLines.map((line) => line.text).join('\n'), timedLines });
+  };
+
+  return (
+    <>
+      <div className="input-group">
+        <label className="input-label">
+          <FileText className="label-icon" />
+          <span>Lyrics</span>
+        </label>
+        <textarea
+          rows={10}
+          placeholder="Paste the song lyrics here, one line per row..."
+          value={value.lyrics}
+          onChange={(e) => update({ lyrics: e.target.value })}
+          className="text-input textarea-input"
+        />
+        <label className="file-input-button">
+          <Upload size={16} />
+          <span>{lrcName ? `Timings from ${lrcName}` : 'Load from LRC file'}</span>
+          <input type="file" accept=".lrc,text/plain" onChange={handleLrcUpload} hidden />
+        </label>
+      </div>
+
+      <div className="input-row">
+        <input
+          type="text"
+          placeholder="Title (optional)"
+          value={value.title}
+          onChange={(e) => update({ title: e.target.value })}
+          className="text-input"
+        />
+        <input
+          type="text"
+          placeholder="Artist (optional)"
+          value={value.artist}
+          onChange={(e) => update({ artist: e.target.value })}
+          className="text-input"
+        />
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,190 @@
+import React, { useState } from 'react';
+import { Copy, Upload, Subtitles, MicVocal, RotateCcw, GitCompare, Type, PencilLine } from 'lucide-react';
+import LyricsView from './LyricsView';
+import ComparePanel from './ComparePanel';
+import RevisionEditor from './RevisionEditor';
+import DetectedLanguage from './DetectedLanguage';
+import ExportButtons from './ExportButtons';
+import { getFriendlyErrorMessage } from '../utils/errorMessages';
+import { alignLyricsLines } from '../utils/lyricsLines';
+import {
+  parseLrc,
+  applyTimings,
+  hasTimings,
+  SUBTITLE_FORMATS,
+  downloadTextFile,
+} from '../utils/timedLyrics';
+
+// Results that no single translation provider produced
+const PROVIDER_LABELS = {
+  preferred: 'preferred translation',
+  verbatim: 'already in the target language',
+};
+
+const providerLabel = (result) => {
+  if (result.provider === 'human') {
+    return result.revision
+      ? `reviewed by ${result.revision.author} (v${result.revision.version})`
+      : 'edited by hand';
+  }
+  return PROVIDER_LABELS[result.provider] || `translated by ${result.provider}`;
+};
+
+export default function ResultsPanel({
+  result,
+  onResultChange,
+  onOpenKaraoke,
+  onRefresh,
+}) {
+  const [notice, setNotice] = useState('');
+  const [showCompare, setShowCompare] = useState(false);
+  const [showRomanized, setShowRomanized] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
+
+  const lines = alignLyricsLines(result.lyrics, result.translatedText, result.lines);
+  const isTimed = hasTimings(lines);
+  const canRomanize = lines.some(line => line.romanizedOriginal || line.romanizedTranslated);
+  const baseName = (result.title || result.videoId || 'lyrics').replace(/[\\/:*?"<>|]+/g, '_');
+
+  // Attach timings from an LRC file of the original lyrics
+  const handleLrcUpload = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const timedLines = parseLrc(await file.text());
+    const timedPairs = applyTimings(lines, timedLines);
+
+    if (!hasTimings(timedPairs)) {
+      setNotice(
+        `The LRC file has ${timedLines.length} timed lines but the lyrics have ` +
+        `${lines.filter(line => line.original.trim()).length}. Timings were not applied.`
+      );
+      return;
+    }
+
+    setNotice('');
+    onResultChange({ ...result, lines: timedPairs });
+  };
+
+  const exportSubtitles = (extension) => {
+    const { format, mimeType } = SUBTITLE_FORMATS[extension];
+    const content = format(lines, 'translated', result);
+    downloadTextFile(`${baseName}.${result.targetLanguage || 'translated'}.${extension}`, content, mimeType);
+  };
+
+  return (
+    <div className="results-container">
+      <div className="results-header">
+        <div>
+          <h2 className="results-title">{result.title || 'Unknown Title'}</h2>
+          <p className="results-subtitle">
+            {result.artist || 'Unknown Artist'} ·{' '}
+            {providerLabel(result)}
+            {result.cached && ' · from cache'}
+          </p>
+          <DetectedLanguage result={result} className="results-detected" />
+        </div>
+        <div className="results-actions">
+          <button
+            onClick={onRefresh}
+            disabled={!result.videoId}
+            className="results-action"
+            title="Translate again without the cache"
+          >
+            <RotateCcw size={18} />
+          </button>
+          <button
+            onClick={() => navigator.clipboard.writeText(result.translatedText)}
+            className="results-action"
+            title="Copy translation"
+          >
+            <Copy size={18} />
+          </button>
+        </div>
+      </div>
+
+      {isEditing ? (
+        <RevisionEditor
+          result={result}
+          onSave={(edited) => {
+            setIsEditing(false);
+            onResultChange(edited);
+          }}
+          onClose={() => setIsEditing(false)}
+        />
+      ) : (
+        <LyricsView lines={lines} showRomanized={showRomanized && canRomanize} />
+      )}
+
+      {/* Playback and timed export */}
+      <div className="results-toolbar">
+        <button
+          onClick={onOpenKaraoke}
+          disabled={!result.videoId}
+          className="results-toolbar-button"
+          title="Play the video with synced lyrics"
+        >
+          <MicVocal size={16} /> Karaoke
+        </button>
+        <button
+          onClick={() => setShowRomanized(!showRomanized)}
+          disabled={!canRomanize}
+          aria-pressed={showRomanized}
+          className="results-toolbar-button"
+          title={canRomanize ? 'Show the lyrics in Latin script' : 'Nothing to romanize in these lyrics'}
+        >
+          <Type size={16} /> Romanized
+        </button>
+        <button
+          onClick={() => setIsEditing(!isEditing)}
+          aria-pressed={isEditing}
+          className="results-toolbar-button"
+          title="Correct the translation line by line"
+        >
+          <PencilLine size={16} /> Edit
+        </button>
+        <button
+          onClick={() => setShowCompare(!showCompare)}
+          aria-pressed={showCompare}
+          className="results-toolbar-button"
+          title="Compare every provider's translation line by line"
+        >
+          <GitCompare size={16} /> Compare
+        </button>
+        <label className="results-toolbar-button" title="Load timings from an LRC file of the original lyrics">
+          <Upload size={16} /> Load LRC timings
+          <input type="file" accept=".lrc,text/plain" onChange={handleLrcUpload} hidden />
+        </label>
+        {Object.keys(SUBTITLE_FORMATS).map((extension) => (
+          <button
+            key={extension}
+            onClick={() => exportSubtitles(extension)}
+            disabled={!isTimed}
+            className="results-toolbar-button"
+            title={isTimed ? `Download translation as .${extension}` : 'These lyrics have no timings'}
+          >
+            <Subtitles size={16} /> {extension.toUpperCase()}
+          </button>
+        ))}
+        <ExportButtons
+          result={result}
+          className="results-toolbar-button"
+          onError={(error) => setNotice(`Export failed: ${getFriendlyErrorMessage(error)}`)}
+        />
+      </div>
+      {notice && <p className="results-notice">{notice}</p>}
+
+      {showCompare && (
+        <ComparePanel
+          result={result}
+          onSave={(merged) => {
+            setShowCompare(false);
+            onResultChange(merged);
+          }}
+          onClose={() => setShowCompare(false)}
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,185 @@
+import React, { useEffect, useState } from 'react';
+import { Save, X, History, RotateCcw, AlertTriangle } from 'lucide-react';
+import lyricsApi from '../api/lyricsApi';
+import { alignLyricsLines } from '../utils/lyricsLines';
+import { getFriendlyErrorMessage } from '../utils/errorMessages';
+import './RevisionEditor.css';
+
+const AUTHOR_KEY = 'lyricsflow.author';
+
+const readAuthor = () => {
+  try {
+    return localStorage.getItem(AUTHOR_KEY) || '';
+  } catch {
+    return '';
+  }
+};
+
+// In-place editor for the translated lines. Every save becomes a new
+// version of the song's translation; earlier versions can be inspected
+// (lines changed against the version before) and restored.
+export default function RevisionEditor({ result, onSave, onClose }) {
+  const lines = alignLyricsLines(result.lyrics, result.translatedText, result.lines);
+  const [drafts, setDrafts] = useState(() => lines.map((line) => line.translated));
+  const [author, setAuthor] = useState(readAuthor);
+  const [versions, setVersions] = useState([]);
+  const [openVersion, setOpenVersion] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isVersioned = Boolean(result.videoId && result.lyricsHash);
+  const changedCount = drafts.filter((draft, i) => draft !== lines[i].translated).length;
+
+  useEffect(() => {
+    if (!result.videoId || !result.lyricsHash) return undefined;
+    let cancelled = false;
+
+    lyricsApi.listRevisions(result.videoId, result.targetLanguage).then((response) => {
+      if (cancelled) return;
+      if (response.success) {
+        setVersions(response.data.filter((version) => version.lyricsHash === result.lyricsHash));
+      } else {
+        setError(response.error);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [result.videoId, result.targetLanguage, result.lyricsHash]);
+
+  const rememberAuthor = () => {
+    try {
+      localStorage.setItem(AUTHOR_KEY, author.trim());
+    } catch {
+      // Private mode: the name just is not remembered
+    }
+  };
+
+  const finish = (response) => {
+    setIsSaving(false);
+    if (response.success) {
+      onSave(response.data);
+    } else {
+      setError(response.error);
+    }
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setError(null);
+    rememberAuthor();
+
+    const edited = lines.map((line, i) => ({ ...line, translated: drafts[i] }));
+    finish(await lyricsApi.saveRevision(result, edited, author.trim()));
+  };
+
+  const handleRevert = async (version) => {
+    setIsSaving(true);
+    setError(null);
+    rememberAuthor();
+    finish(await lyricsApi.revertRevision(result, version.version, author.trim()));
+  };
+
+  return (
+    <div className="revision-editor">
+      <div className="revision-lines">
+        {lines.map((line, index) =>
+          line.original.trim() ? (
+            <div key={index} className="revision-line">
+              <p className="revision-original">{line.original}</p>
+              <input
+                type="text"
+                value={drafts[index]}
+                onChange={(e) =>
+                  setDrafts((current) => current.map((draft, i) => (i === index ? e.target.value : draft)))
+                }
+                className={`revision-input ${drafts[index] !== line.translated ? 'changed' : ''}`}
+                aria-label={`Translation of line ${index + 1}`}
+              />
+            </div>
+          ) : (
+            <div key={index} className="revision-gap" />
+          )
+        )}
+      </div>
+
+      {error && (
+        <p className="revision-error">
+          <AlertTriangle size={16} /> {getFriendlyErrorMessage(error)}
+        </p>
+      )}
+
+      <div className="revision-footer">
+        {isVersioned && (
+          <input
+            type="text"
+            placeholder="Your name"
+            value={author}
+            onChange={(e) => setAuthor(e.target.value)}
+            className="revision-author"
+            maxLength={80}
+          />
+        )}
+        <button onClick={onClose} className="results-toolbar-button">
+          <X size={16} /> Close
+        </button>
+        <button
+          onClick={handleSave}
+          disabled={isSaving || changedCount === 0 || (isVersioned && !author.trim())}
+          className="results-toolbar-button"
+          title={isVersioned ? 'Save as a new version' : 'Apply the edits to this result'}
+        >
+          <Save size={16} /> Save {changedCount > 0 && `(${changedCount} line${changedCount === 1 ? '' : 's'})`}
+        </button>
+      </div>
+
+      {versions.length > 0 && (
+        <div className="revision-history">
+          <h4 className="revision-history-title">
+            <History size={16} /> Versions
+          </h4>
+          <ul>
+            {[...versions].reverse().map((version) => (
+              <li key={version.version} className="revision-version">
+                <div className="revision-version-header">
+                  <button
+                    onClick={() => setOpenVersion(openVersion === version.version ? null : version.version)}
+                    aria-expanded={openVersion === version.version}
+                    className="revision-version-toggle"
+                  >
+                    v{version.version} · {version.author} · {new Date(version.savedAt).toLocaleString()}
+                    {' · '}
+                    {version.changes.length} line{version.changes.length === 1 ? '' : 's'} changed
+                    {version.revertedFrom && ` (restored v${version.revertedFrom})`}
+                  </button>
+                  {version.version !== result.revision?.version && (
+                    <button
+                      onClick={() => handleRevert(version)}
+                      disabled={isSaving || !author.trim()}
+                      className="results-action"
+                      title={author.trim() ? `Restore version ${version.version}` : 'Enter your name to restore'}
+                    >
+                      <RotateCcw size={16} />
+                    </button>
+                  )}
+                </div>
+                {openVersion === version.version && (
+                  <ul className="revision-diff">
+                    {version.changes.map((change) => (
+                      <li key={change.index}>
+                        <span className="revision-diff-line">{change.index + 1}</span>
+                        <del>{change.before || ' '}</del>
+                        <ins>{change.after || ' '}</ins>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
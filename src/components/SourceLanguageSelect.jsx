@@ -0,0 +1,17 @@
+import React from 'react';
+import translateApi from '../api/translateApi';
+
+// "Auto-detect" plus every known language; overrides the detected source
+// language when the detector gets a song wrong
+export default function SourceLanguageSelect({ value, onChange, className }) {
+  return (
+    <select value={value} onChange={(e) => onChange(e.target.value)} className={className}>
+      <option value="auto">Auto-detect</option>
+      {translateApi.getDefaultLanguages().map(({ code, name }) => (
+        <option key={code} value={code}>
+          {name}
+        </option>
+      ))}
+    </select>
+  );
+}
@@ -0,0 +1,44 @@
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+import translateApi from '../api/translateApi';
+import { getFriendlyErrorMessage } from '../utils/errorMessages';
+
+// One tab per target language of a multi-target run. A language that
+// failed shows its own error; the others stay usable.
+export default function TranslationTabs({ translations, activeLanguage, onSelect }) {
+  const codes = Object.keys(translations);
+  if (codes.length < 2) return null;
+
+  const active = translations[activeLanguage];
+
+  return (
+    <>
+      <div className="results-tabs" role="tablist">
+        {codes.map((code) => (
+          <button
+            key={code}
+            role="tab"
+            aria-selected={code === activeLanguage}
+            onClick={() => onSelect(code)}
+            className={`results-tab ${code === activeLanguage ? 'active' : ''} ${translations[code].success ? '' : 'failed'}`}
+          >
+            {!translations[code].success && <AlertTriangle size={14} />}
+            {translateApi.getLanguageName(code)}
+          </button>
+        ))}
+      </div>
+
+      {active && !active.success && (
+        <div className="error-container">
+          <AlertTriangle className="error-icon" />
+          <div>
+            <h3 className="error-title">
+              {translateApi.getLanguageName(activeLanguage)} Translation Failed
+            </h3>
+            <p className="error-message">{getFriendlyErrorMessage(active.error)}</p>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,58 @@
+// src/utils/db.js
+
+// Shared IndexedDB database for browser-side persistence
+const DB_NAME = 'lyricsflow';
+const DB_VERSION = 3;
+
+let dbPromise = null;
+
+function upgrade(db, oldVersion) {
+  if (oldVersion < 1) {
+    const translations = db.createObjectStore('translations', { keyPath: 'key' });
+    translations.createIndex('byVideoTarget', ['videoId', 'targetLanguage']);
+    translations.createIndex('byVideo', 'videoId');
+  }
+
+  if (oldVersion < 2) {
+    const history = db.createObjectStore('history', { keyPath: 'id', autoIncrement: true });
+    history.createIndex('byVideoTarget', ['videoId', 'targetLanguage']);
+  }
+
+  if (oldVersion < 3) {
+    db.createObjectStore('glossary', { keyPath: 'id', autoIncrement: true });
+  }
+}
+
+export function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => upgrade(request.result, event.oldVersion);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+
+  return dbPromise;
+}
+
+// Run `operation(store)` in a transaction on `storeName` and resolve with
+// the result of the request it returns
+export async function withStore(storeName, mode, operation) {
+  const db = await openDb();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
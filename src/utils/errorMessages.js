@@ -0,0 +1,41 @@
+// src/utils/errorMessages.js
+
+// User-facing text for LyricsApiError / TranslationError types
+const FRIENDLY_MESSAGES = {
+  INVALID_URL: 'That does not look like a YouTube video link. Please check the URL.',
+  VIDEO_NOT_FOUND: 'We could not find that video. It may be private or removed.',
+  NO_LYRICS_FOUND: 'No lyrics found. Please paste manually.',
+  MAX_RETRIES: 'We tried multiple times but could not fetch the lyrics. Please try again later.',
+  TIMEOUT: 'This is taking too long. The video might be very long or the server is busy.',
+  NETWORK_ERROR: 'Could not reach the server. Please check your connection.',
+  RATE_LIMITED: 'Too many requests right now. Please wait a moment and try again.',
+  QUOTA_EXCEEDED: 'The translation service quota has been used up. Please try again later.',
+  ALL_SERVICES_FAILED: 'All translation services are unavailable at the moment. Please try again later.',
+  ALL_TARGETS_FAILED: 'None of the selected languages could be translated. Please try again later.',
+  TOO_MANY_TARGETS: 'Too many languages at once. Please select fewer target languages.',
+  TEXT_TOO_LONG: 'These lyrics are too long to translate in one go.',
+  SERVER_ERROR: 'Something went wrong on our side. Please try again later.',
+  CANCELLED: 'The translation was cancelled.',
+  PLAYLIST_NOT_FOUND: 'We could not find that playlist. It may be private or removed.',
+  PLAYLIST_UNAVAILABLE: 'Playlist links are not available on this server. Paste the video links instead.',
+  TOO_MANY_VIDEOS: 'Too many videos for one batch. Please split the list.',
+  REVISIONS_UNREADABLE: 'The saved edits of this song are damaged, so no new version can be saved.',
+  JOB_ABANDONED: 'The translation was interrupted several times and has been stopped. Please try again.',
+  BATCH_NOT_FINISHED: 'The batch is still running. Download the results once it has finished.',
+};
+
+export function getFriendlyErrorMessage(error) {
+  if (!error) return '';
+  if (typeof error === 'string') return error;
+  return FRIENDLY_MESSAGES[error.type] || error.message || 'Something went wrong. Please try again.';
+}
+
+export function getErrorTitle(error) {
+  if (!error) return '';
+  if (error.type === 'MAX_RETRIES') return 'Maximum Retries Reached';
+  if (error.stage === 'extract') return 'Lyrics Extraction Failed';
+  if (error.stage === 'detect') return 'Language Detection Failed';
+  if (error.stage === 'translate') return 'Translation Failed';
+  if (error.stage === 'transliterate') return 'Romanization Failed';
+  return 'Error';
+}
@@ -0,0 +1,36 @@
+// src/utils/eventStream.js
+
+// Read a Server-Sent Events body (from fetch) to the end, calling
+// onEvent(type, data) with the JSON data of every frame
+export async function readEventStream(body, onEvent) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const dispatch = (frame) => {
+    let type = 'message';
+    const data = [];
+
+    frame.split('\n').forEach((line) => {
+      if (line.startsWith('event:')) type = line.slice(6).trim();
+      else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+    });
+
+    if (data.length > 0) onEvent(type, JSON.parse(data.join('\n')));
+  };
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary !== -1) {
+      dispatch(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      boundary = buffer.indexOf('\n\n');
+    }
+  }
+
+  if (buffer.trim()) dispatch(buffer);
+}
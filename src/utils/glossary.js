@@ -0,0 +1,88 @@
+// src/utils/glossary.js
+
+// Glossary entries are { term, translation, source, target, videoId }:
+// `translation` forces how a term is rendered, and an empty translation
+// protects the term (it is kept as written). `source` / `target` null means
+// any language. The backend applies them (backend/utils/glossary.js); here
+// they are only read from and written to CSV.
+
+// CSV columns; `source`, `target` and `video` may be left empty (any)
+const CSV_COLUMNS = ['term', 'translation', 'source', 'target', 'video'];
+
+const csvField = (value) => {
+  const text = value ?? '';
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export function glossaryToCsv(entries) {
+  const rows = entries.map((entry) =>
+    [entry.term, entry.translation, entry.source, entry.target, entry.videoId].map(csvField).join(',')
+  );
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+// Rows of fields, honouring quoted fields with commas, quotes and newlines
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Glossary entries from CSV text. A header row, if present, decides the
+// column order; otherwise the columns are taken as CSV_COLUMNS.
+export function parseGlossaryCsv(text) {
+  const rows = parseCsvRows(text.replace(/^\uFEFF/, ''));
+  const header = rows[0]?.map((name) => name.trim().toLowerCase());
+  const hasHeader = header?.includes('term');
+  const columns = hasHeader ? header : CSV_COLUMNS;
+  const value = (row, name) => {
+    const index = columns.indexOf(name);
+    return index === -1 ? '' : (row[index] ?? '').trim();
+  };
+
+  return rows
+    .slice(hasHeader ? 1 : 0)
+    .map((row) => ({
+      term: value(row, 'term'),
+      translation: value(row, 'translation'),
+      source: value(row, 'source') || null,
+      target: value(row, 'target') || null,
+      videoId: value(row, 'video') || null,
+    }))
+    .filter((entry) => entry.term);
+}
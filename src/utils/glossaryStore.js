@@ -0,0 +1,67 @@
+// src/utils/glossaryStore.js
+import { withStore } from './db';
+
+// The user's glossary in IndexedDB (see ./glossary for the entry format).
+// `videoId` null makes an entry global; otherwise it only applies to that
+// song.
+const STORE = 'glossary';
+
+const sameEntry = (a, b) =>
+  a.term.trim().toLowerCase() === b.term.trim().toLowerCase()
+  && (a.source || null) === (b.source || null)
+  && (a.target || null) === (b.target || null)
+  && (a.videoId || null) === (b.videoId || null);
+
+const normalize = (entry) => ({
+  term: entry.term.trim(),
+  translation: (entry.translation || '').trim(),
+  source: entry.source || null,
+  target: entry.target || null,
+  videoId: entry.videoId || null,
+});
+
+// Every entry, global ones first, then alphabetically by term
+export async function listGlossary() {
+  try {
+    const entries = await withStore(STORE, 'readonly', store => store.getAll());
+    return (entries || []).sort((a, b) =>
+      Number(Boolean(a.videoId)) - Number(Boolean(b.videoId)) || a.term.localeCompare(b.term)
+    );
+  } catch (error) {
+    console.warn('Glossary read failed:', error.message);
+    return [];
+  }
+}
+
+// Global entries plus the ones for this song, ready for a translation
+// request ({ term, translation, source, target })
+export async function getGlossaryFor(videoId) {
+  const entries = await listGlossary();
+  return entries
+    .filter(entry => !entry.videoId || entry.videoId === videoId)
+    .map(({ term, translation, source, target }) => ({ term, translation, source, target }));
+}
+
+// Add or update an entry; an entry for the same term, language pair and
+// song is replaced
+export async function saveGlossaryEntry(entry) {
+  const entries = await listGlossary();
+  const next = normalize(entry);
+  const existing = entry.id ?? entries.find(item => sameEntry(item, next))?.id;
+
+  return withStore(STORE, 'readwrite', store =>
+    store.put(existing === undefined ? next : { ...next, id: existing })
+  );
+}
+
+// Save many entries (a CSV import); resolves with how many were saved
+export async function importGlossaryEntries(entries) {
+  for (const entry of entries) {
+    await saveGlossaryEntry(entry);
+  }
+  return entries.length;
+}
+
+export async function removeGlossaryEntry(id) {
+  await withStore(STORE, 'readwrite', store => store.delete(id));
+}
@@ -0,0 +1,77 @@
+// src/utils/historyStore.js
+import { withStore } from './db';
+
+// Translation history kept in IndexedDB. Each entry stores the full result
+// so it can be reopened without calling the APIs again.
+const STORE = 'history';
+
+// Record a successful result. A repeat of the same video and language
+// replaces the older entry but keeps its favourite flag.
+export async function addHistoryEntry(result) {
+  try {
+    const previous = result.videoId
+      ? await withStore(STORE, 'readonly', store =>
+        store.index('byVideoTarget').getAll([result.videoId, result.targetLanguage])
+      )
+      : [];
+
+    const entry = {
+      title: result.title || 'Unknown Title',
+      artist: result.artist || 'Unknown Artist',
+      videoId: result.videoId || null,
+      sourceLanguage: result.detectedLanguage || result.sourceLanguage || null,
+      targetLanguage: result.targetLanguage,
+      provider: result.provider,
+      createdAt: Date.now(),
+      favorite: previous.some(item => item.favorite),
+      result
+    };
+
+    return await withStore(STORE, 'readwrite', (store) => {
+      previous.forEach(item => store.delete(item.id));
+      return store.add(entry);
+    });
+  } catch (error) {
+    console.warn('History write failed:', error.message);
+    return null;
+  }
+}
+
+// Every search word must appear in the title, artist or either lyrics text
+function matchesQuery(entry, words) {
+  const haystack = [
+    entry.title,
+    entry.artist,
+    entry.result?.lyrics,
+    entry.result?.translatedText
+  ].join('\n').toLowerCase();
+
+  return words.every(word => haystack.includes(word));
+}
+
+// Newest first, filtered by a free-text query and/or favourites
+export async function listHistory({ query = '', favoritesOnly = false } = {}) {
+  try {
+    const entries = await withStore(STORE, 'readonly', store => store.getAll());
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+    return (entries || [])
+      .filter(entry => !favoritesOnly || entry.favorite)
+      .filter(entry => matchesQuery(entry, words))
+      .sort((a, b) => b.createdAt - a.createdAt);
+  } catch (error) {
+    console.warn('History read failed:', error.message);
+    return [];
+  }
+}
+
+export async function setHistoryFavorite(id, favorite) {
+  const entry = await withStore(STORE, 'readonly', store => store.get(id));
+  if (!entry) return;
+
+  await withStore(STORE, 'readwrite', store => store.put({ ...entry, favorite }));
+}
+
+export async function removeHistoryEntry(id) {
+  await withStore(STORE, 'readwrite', store => store.delete(id));
+}
@@ -0,0 +1,31 @@
+// src/utils/lyricsLines.js
+
+// Pair every original line with its translation. Uses the backend's `lines`
+// (which may also carry start/end timings) when present, otherwise zips the
+// two texts line by line.
+export function alignLyricsLines(originalText = '', translatedText = '', lines = null) {
+  if (Array.isArray(lines) && lines.length > 0) {
+    return lines.map((line) => ({
+      ...line,
+      original: line.original ?? '',
+      translated: line.translated ?? ''
+    }));
+  }
+
+  const originalLines = originalText.split(/\r?\n/);
+  const translatedLines = translatedText.split(/\r?\n/);
+  const length = Math.max(originalLines.length, translatedLines.length);
+
+  return Array.from({ length }, (_, i) => ({
+    original: originalLines[i] ?? '',
+    translated: translatedLines[i] ?? ''
+  }));
+}
+
+// Blank state for the manual lyrics form
+export const EMPTY_MANUAL_LYRICS = {
+  lyrics: '',
+  title: '',
+  artist: '',
+  timedLines: null
+};
@@ -0,0 +1,149 @@
+// src/utils/timedLyrics.js
+
+// Lines without an explicit end are shown for this long (seconds)
+const DEFAULT_LINE_DURATION = 4;
+
+// Parse LRC ("[mm:ss.xx] line") into [{ start, end, text }]
+export function parseLrc(content) {
+  const timedLines = [];
+
+  for (const line of content.replace(/\r\n?/g, '\n').split('\n')) {
+    const stamps = [...line.matchAll(/\[(\d+):(\d+(?:[.:]\d+)?)\]/g)];
+    if (stamps.length === 0) continue;
+
+    const text = line.replace(/\[[^\]]*\]/g, '').trim();
+    for (const [, minutes, seconds] of stamps) {
+      timedLines.push({
+        start: Number(minutes) * 60 + parseFloat(seconds.replace(':', '.')),
+        end: null,
+        text
+      });
+    }
+  }
+
+  timedLines.sort((a, b) => a.start - b.start);
+
+  // LRC only has start times, so each line ends where the next begins
+  timedLines.forEach((line, index) => {
+    line.end = index < timedLines.length - 1 ? timedLines[index + 1].start : null;
+  });
+
+  // Empty LRC lines only mark instrumental gaps
+  return timedLines.filter(line => line.text);
+}
+
+// Copy start/end from timed lines (one per non-empty lyric line) onto
+// aligned line pairs. Returns the pairs unchanged when the counts disagree.
+export function applyTimings(lines, timedLines) {
+  if (!timedLines?.length) return lines;
+
+  const lyricLines = lines.filter(line => line.original.trim());
+  if (lyricLines.length !== timedLines.length) return lines;
+
+  let next = 0;
+  return lines.map((line) => {
+    if (!line.original.trim()) return line;
+
+    const { start, end } = timedLines[next++];
+    return { ...line, start, end };
+  });
+}
+
+export function hasTimings(lines) {
+  return lines.some(line => typeof line.start === 'number');
+}
+
+// Timed lines only, with every end filled in
+function resolveTimedLines(lines, field) {
+  const timed = lines.filter(line => typeof line.start === 'number' && line[field]?.trim());
+
+  return timed.map((line, index) => ({
+    start: line.start,
+    end: line.end ?? timed[index + 1]?.start ?? line.start + DEFAULT_LINE_DURATION,
+    text: line[field].trim()
+  }));
+}
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+function formatClock(seconds, separator) {
+  const totalMs = Math.round(seconds * 1000);
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(totalMs % 1000, 3)}`;
+}
+
+function formatLrcStamp(seconds) {
+  const totalCs = Math.round(seconds * 100);
+  const minutes = Math.floor(totalCs / 6000);
+  const secs = Math.floor((totalCs % 6000) / 100);
+
+  return `[${pad(minutes)}:${pad(secs)}.${pad(totalCs % 100)}]`;
+}
+
+// `field` is 'original' or 'translated'
+export function formatLrc(lines, field = 'translated', meta = {}) {
+  const header = [
+    meta.title && `[ti:${meta.title}]`,
+    meta.artist && `[ar:${meta.artist}]`
+  ].filter(Boolean);
+
+  const body = resolveTimedLines(lines, field).map(
+    line => `${formatLrcStamp(line.start)}${line.text}`
+  );
+
+  return [...header, ...body].join('\n') + '\n';
+}
+
+export function formatSrt(lines, field = 'translated') {
+  return resolveTimedLines(lines, field)
+    .map((line, index) =>
+      `${index + 1}\n${formatClock(line.start, ',')} --> ${formatClock(line.end, ',')}\n${line.text}\n`
+    )
+    .join('\n');
+}
+
+export function formatVtt(lines, field = 'translated') {
+  const cues = resolveTimedLines(lines, field).map(
+    line => `${formatClock(line.start, '.')} --> ${formatClock(line.end, '.')}\n${line.text}\n`
+  );
+
+  return ['WEBVTT\n', ...cues].join('\n');
+}
+
+export const SUBTITLE_FORMATS = {
+  lrc: { format: formatLrc, mimeType: 'text/plain' },
+  srt: { format: formatSrt, mimeType: 'application/x-subrip' },
+  vtt: { format: formatVtt, mimeType: 'text/vtt' }
+};
+
+// Save text as a file from the browser
+export function downloadTextFile(filename, content, mimeType = 'text/plain') {
+  downloadBlob(filename, new Blob([content], { type: `${mimeType};charset=utf-8` }));
+}
+
+export function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Some browsers start the download after click() returns; revoking at
+  // once can cancel it
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Index of the line being sung at `time` (seconds), or -1 between lines
+export function findActiveLineIndex(lines, time) {
+  for (let i = lines.length - 1; i >= 0; i--) {
+    const line = lines[i];
+    if (typeof line.start !== 'number' || line.start > time) continue;
+
+    const end = line.end ?? line.start + DEFAULT_LINE_DURATION;
+    return time < end ? i : -1;
+  }
+
+  return -1;
+}
@@ -0,0 +1,76 @@
+// src/utils/translationCache.js
+import { withStore } from './db';
+
+// Browser mirror of the backend translation cache, kept in IndexedDB so
+// repeat lookups work offline. Entries use the backend's key parts:
+// videoId + targetLanguage + provider + lyricsHash.
+const STORE = 'translations';
+const DEFAULT_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days, same as the backend
+
+export function cacheKey({ videoId, targetLanguage, provider, lyricsHash }) {
+  return `${videoId}.${targetLanguage}.${provider}.${lyricsHash}`;
+}
+
+// Newest unexpired result for a video and target language, or null.
+// Cache failures are never fatal, so errors resolve to null.
+export async function getCachedTranslation(videoId, targetLanguage) {
+  try {
+    const entries = await withStore(STORE, 'readonly', store =>
+      store.index('byVideoTarget').getAll([videoId, targetLanguage])
+    );
+    const fresh = (entries || [])
+      .filter(entry => entry.expiresAt > Date.now())
+      .sort((a, b) => b.createdAt - a.createdAt);
+
+    return fresh[0]?.value || null;
+  } catch (error) {
+    console.warn('Translation cache read failed:', error.message);
+    return null;
+  }
+}
+
+// Store a /lyrics-translate result. Results with glossary terms applied
+// are left out, like on the backend, so they never answer a later request.
+export async function putCachedTranslation(data) {
+  if (!data?.videoId || !data.lyricsHash || data.glossaryApplied) return;
+
+  try {
+    const now = Date.now();
+    await withStore(STORE, 'readwrite', store =>
+      store.put({
+        key: cacheKey(data),
+        videoId: data.videoId,
+        targetLanguage: data.targetLanguage,
+        provider: data.provider,
+        lyricsHash: data.lyricsHash,
+        createdAt: now,
+        expiresAt: data.expiresAt || now + DEFAULT_TTL,
+        value: data
+      })
+    );
+  } catch (error) {
+    console.warn('Translation cache write failed:', error.message);
+  }
+}
+
+// Remove cached results for one video (optionally one language), or all
+export async function invalidateCachedTranslations(videoId, targetLanguage) {
+  try {
+    if (!videoId) {
+      await withStore(STORE, 'readwrite', store => store.clear());
+      return;
+    }
+
+    const keys = await withStore(STORE, 'readonly', store =>
+      targetLanguage
+        ? store.index('byVideoTarget').getAllKeys([videoId, targetLanguage])
+        : store.index('byVideo').getAllKeys(videoId)
+    );
+    await withStore(STORE, 'readwrite', (store) => {
+      keys.forEach(key => store.delete(key));
+      return null;
+    });
+  } catch (error) {
+    console.warn('Translation cache invalidation failed:', error.message);
+  }
+}
@@ -0,0 +1,32 @@
+// src/utils/youtubePlayer.js
+
+let iframeApiPromise = null;
+
+// Load the YouTube IFrame Player API once and resolve with window.YT
+export function loadYouTubeIframeApi() {
+  if (window.YT?.Player) {
+    return Promise.resolve(window.YT);
+  }
+
+  if (!iframeApiPromise) {
+    iframeApiPromise = new Promise((resolve, reject) => {
+      const previousCallback = window.onYouTubeIframeAPIReady;
+      window.onYouTubeIframeAPIReady = () => {
+        previousCallback?.();
+        resolve(window.YT);
+      };
+
+      const script = document.createElement('script');
+      script.src = 'https://www.youtube.com/iframe_api';
+      script.async = true;
+      script.onerror = () => {
+        iframeApiPromise = null;
+        script.remove();
+        reject(new Error('Failed to load the YouTube player'));
+      };
+      document.head.appendChild(script);
+    });
+  }
+
+  return iframeApiPromise;
+}
@@ -8,7 +8,7 @@ export default defineConfig({
     proxy: {
       // API routes proxy
       '/api': {
-        target: 'http://localhost:3001', // Backend server URL
+        target: 'http://localhost:5000', // Backend server URL (backend/server.js)
         changeOrigin: true,
         secure: false,
         rewrite: (path) => path.replace(/^\/api/, '/api')